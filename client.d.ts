@@ -0,0 +1,169 @@
+// client.d.ts
+// Tipos de TypeScript para client.js (el cliente programático de FakeStoreAPI).
+
+export interface Rating {
+  rate: number;
+  count: number;
+}
+
+export interface Product {
+  id: number;
+  title: string;
+  price: number;
+  description: string;
+  category: string;
+  image: string;
+  /** La API no lo devuelve en los productos recién creados. */
+  rating?: Rating;
+}
+
+export interface CartItem {
+  productId: number;
+  quantity: number;
+}
+
+export interface Cart {
+  id: number;
+  userId: number;
+  date: string;
+  products: CartItem[];
+  __v?: number;
+}
+
+export interface User {
+  id: number;
+  email: string;
+  username: string;
+  password: string;
+  name?: { firstname: string; lastname: string };
+  phone?: string;
+  address?: {
+    city?: string;
+    street?: string;
+    number?: number;
+    zipcode?: string;
+    geolocation?: { lat: string; long: string };
+  };
+  __v?: number;
+}
+
+/** Los campos que asigna la API (id, rating, __v) no se envían al crear o reemplazar. */
+export type NewProduct = Omit<Product, 'id' | 'rating'>;
+export type NewCart = Omit<Cart, 'id' | '__v'>;
+export type NewUser = Omit<User, 'id' | '__v'>;
+
+/** Query string de los listados: ?limit= y ?sort=asc|desc (por ID). */
+export interface ListQuery {
+  limit?: number;
+  sort?: 'asc' | 'desc';
+}
+
+/** Un problema de validación de un campo (ej: { field: 'price', message: 'debe ser mayor o igual a 0 ...' }). */
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+export interface FakeStoreClientOptions {
+  /** URL de la API (por defecto, https://fakestoreapi.com). */
+  baseUrl?: string;
+  /** Milisegundos por intento (0 = sin límite). Por defecto: 10000. */
+  timeout?: number;
+  /** Reintentos de GET/PUT/DELETE ante errores de red, 429 o 5xx. Por defecto: 3. */
+  retries?: number;
+  /** Espera base del backoff, en milisegundos. Por defecto: 500. */
+  retryDelay?: number;
+  /** Peticiones simultáneas como máximo. Por defecto: 4. */
+  concurrency?: number;
+  /** Peticiones por segundo como máximo (0 = sin límite). Por defecto: 0. */
+  rateLimit?: number;
+  /** Las respuestas con campos faltantes, inesperados o inválidos lanzan ValidationError. */
+  strict?: boolean;
+  /** Token de /auth/login, que se envía como 'Authorization: Bearer'. */
+  token?: string | null;
+  /** Recibe el detalle de cada intento. */
+  log?: ((message: string) => void) | null;
+  /** Recibe los problemas de las respuestas cuando strict es false. */
+  onWarning?: ((message: string, errors: FieldError[]) => void) | null;
+}
+
+export interface RequestOptions {
+  method?: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+  body?: object | null;
+}
+
+export interface CollectionApi<T, TNew> {
+  list(query?: ListQuery): Promise<T[]>;
+  /** @throws {NotFoundError} Si el elemento no existe. */
+  get(id: number | string): Promise<T>;
+  create(item: TNew): Promise<T>;
+  update(id: number | string, item: TNew): Promise<T>;
+  patch(id: number | string, changes: Partial<TNew>): Promise<Partial<T>>;
+  delete(id: number | string): Promise<T | null>;
+}
+
+export interface ProductsApi extends CollectionApi<Product, NewProduct> {
+  categories(): Promise<string[]>;
+  listByCategory(category: string, query?: ListQuery): Promise<Product[]>;
+}
+
+export interface CartsApi extends CollectionApi<Cart, NewCart> {
+  listByUser(userId: number | string, query?: ListQuery): Promise<Cart[]>;
+}
+
+export declare const DEFAULT_BASE_URL: string;
+
+/** Elige el idioma de los mensajes de error ('es' o 'en'; también acepta valores como 'en_US.UTF-8'). Por defecto: 'es'. */
+export declare function setLocale(locale: string): void;
+
+/** Esquemas de los recursos, tal como los define schemas.js. */
+export declare const SCHEMAS: {
+  product: Record<string, object>;
+  cart: Record<string, object>;
+  user: Record<string, object>;
+};
+
+export declare class FakeStoreClient {
+  constructor(options?: FakeStoreClientOptions);
+  baseUrl: string;
+  timeout: number;
+  retries: number;
+  retryDelay: number;
+  concurrency: number;
+  rateLimit: number;
+  strict: boolean;
+  token: string | null;
+  readonly products: ProductsApi;
+  readonly carts: CartsApi;
+  readonly users: CollectionApi<User, NewUser>;
+  /** Inicia sesión; el token devuelto se usa en las peticiones siguientes. */
+  login(username: string, password: string): Promise<string>;
+  /** Petición genérica (ej: request('/products?limit=5')). Devuelve null si la respuesta vino vacía. */
+  request<T = unknown>(endpoint: string, options?: RequestOptions): Promise<T>;
+  /** Valida una respuesta ya obtenida (ej: de una caché) como lo hace request: con strict lanza ValidationError. */
+  validateResponse(endpoint: string, method: NonNullable<RequestOptions['method']>, data: unknown): void;
+}
+
+export declare class FakeStoreError extends Error {}
+
+export declare class HttpError extends FakeStoreError {
+  status: number;
+  statusText: string;
+  /** El cuerpo de la respuesta, parseado como JSON si se pudo. */
+  body: unknown;
+  method: string;
+  url: string;
+}
+
+export declare class NotFoundError extends HttpError {}
+
+export declare class NetworkError extends FakeStoreError {
+  /** Código del error de red (ej: 'ECONNREFUSED'), o 'ETIMEDOUT' si se agotó el tiempo de espera. */
+  code: string | undefined;
+  method: string;
+  url: string;
+}
+
+export declare class ValidationError extends FakeStoreError {
+  errors: FieldError[];
+}
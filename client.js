@@ -0,0 +1,424 @@
+// client.js
+// Cliente programático de FakeStoreAPI: se puede importar desde otros programas de Node sin pasar por la CLI.
+// La CLI (index.js) lo usa para todas sus peticiones y agrega encima la caché, las credenciales y la salida.
+//
+// Ejemplo:
+//   import { FakeStoreClient, NotFoundError } from 'fake-store-cli';
+//   const client = new FakeStoreClient({ baseUrl: 'http://localhost:3000', retries: 2 });
+//   const products = await client.products.list({ limit: 5 });
+
+import { SCHEMAS, validate, formatValidationErrors } from './schemas.js';
+import { t } from './messages.js';
+
+export { SCHEMAS };
+// Idioma de los mensajes de error ('es' o 'en'); por defecto, español
+export { setLocale } from './messages.js';
+
+// URL de la API real, usada si no se indica otra
+export const DEFAULT_BASE_URL = 'https://fakestoreapi.com';
+
+// Métodos que se pueden repetir sin riesgo: repetirlos deja los datos igual que una sola vez
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+// Espera máxima entre reintentos, aunque el servidor pida más con Retry-After
+const MAX_RETRY_DELAY = 60000;
+
+// Esquema de cada colección de la API (y su nombre en los mensajes); los endpoints de otras rutas (ej: /auth/login) no se validan
+const COLLECTION_SCHEMAS = {
+  products: { get name() { return t('resource.products.singular'); }, schema: SCHEMAS.product },
+  carts: { get name() { return t('resource.carts.singular'); }, schema: SCHEMAS.cart },
+  users: { get name() { return t('resource.users.singular'); }, schema: SCHEMAS.user },
+};
+
+// ---------------------------------------------------------------------------------------------
+// Errores tipados: todos extienden FakeStoreError, así que se pueden capturar juntos o por separado.
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Error base de todos los errores del cliente.
+ */
+export class FakeStoreError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * La API respondió con un código de estado de error (4xx o 5xx).
+ * 'body' es el cuerpo de la respuesta, parseado como JSON si se pudo (si no, como texto).
+ */
+export class HttpError extends FakeStoreError {
+  constructor(message, { status, statusText, body, method, url }) {
+    super(message);
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * El elemento pedido no existe: la API respondió 404, o una respuesta vacía
+ * (la API real responde 200 sin cuerpo cuando el ID no existe).
+ */
+export class NotFoundError extends HttpError {}
+
+/**
+ * La petición no obtuvo respuesta: error de conexión (ej: ECONNREFUSED) o tiempo de espera agotado.
+ * 'code' es el código del error de red, o 'ETIMEDOUT' si se agotó el tiempo de espera.
+ */
+export class NetworkError extends FakeStoreError {
+  constructor(message, { code, method, url, cause }) {
+    super(message, { cause });
+    this.code = code;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+/**
+ * Un cuerpo a enviar, o una respuesta con --strict, no coincide con el esquema del recurso.
+ * 'errors' tiene un elemento por cada campo con problemas: { field, message }.
+ */
+export class ValidationError extends FakeStoreError {
+  constructor(message, { errors }) {
+    super(message);
+    this.errors = errors;
+  }
+}
+
+/**
+ * Espera la cantidad de milisegundos indicada.
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Indica si vale la pena reintentar una respuesta (429 Too Many Requests o errores 5xx del servidor).
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Convierte la cabecera Retry-After (segundos o fecha HTTP) en milisegundos.
+ * @returns {number|null} - La espera pedida por el servidor, o null si no hay una válida.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Arma el query string de un listado ({ limit: 5, sort: 'desc' } -> '?limit=5&sort=desc').
+ */
+function listQuery({ limit, sort } = {}) {
+  const searchParams = new URLSearchParams();
+  if (limit !== undefined) searchParams.set('limit', limit);
+  if (sort !== undefined) searchParams.set('sort', sort);
+  const queryString = searchParams.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
+/**
+ * Cliente de FakeStoreAPI con tiempo de espera, reintentos con backoff, límite de peticiones
+ * y validación de los cuerpos y las respuestas con los esquemas de schemas.js.
+ */
+export class FakeStoreClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] - URL de la API (por defecto, https://fakestoreapi.com).
+   * @param {number} [options.timeout=10000] - Milisegundos por intento (0 = sin límite).
+   * @param {number} [options.retries=3] - Reintentos de GET/PUT/DELETE ante errores de red, 429 o 5xx.
+   * @param {number} [options.retryDelay=500] - Espera base del backoff, en milisegundos.
+   * @param {number} [options.concurrency=4] - Peticiones simultáneas como máximo.
+   * @param {number} [options.rateLimit=0] - Peticiones por segundo como máximo (0 = sin límite).
+   * @param {boolean} [options.strict=false] - Las respuestas con campos faltantes, inesperados o inválidos lanzan ValidationError.
+   * @param {string|null} [options.token=null] - Token de /auth/login, que se envía como 'Authorization: Bearer'.
+   * @param {(message: string) => void} [options.log] - Recibe el detalle de cada intento (ej: para un modo verbose).
+   * @param {(message: string, errors: object[]) => void} [options.onWarning] - Recibe los problemas de las respuestas sin strict.
+   */
+  constructor({
+    baseUrl = DEFAULT_BASE_URL,
+    timeout = 10000,
+    retries = 3,
+    retryDelay = 500,
+    concurrency = 4,
+    rateLimit = 0,
+    strict = false,
+    token = null,
+    log = null,
+    onWarning = null,
+  } = {}) {
+    // Sin barra final, porque los endpoints ya empiezan con '/'
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    Object.assign(this, { timeout, retries, retryDelay, concurrency, rateLimit, strict, token });
+    this.log = log;
+    this.onWarning = onWarning;
+
+    // Estado del limitador: peticiones en curso, las que esperan un lugar y cuándo puede salir la próxima
+    this.activeRequests = 0;
+    this.waitingRequests = [];
+    this.nextRequestAt = 0;
+
+    this.products = {
+      ...this.#collection('products'),
+      /** GET /products/categories */
+      categories: () => this.request('/products/categories'),
+      /** GET /products/category/<category> */
+      listByCategory: (category, query) => this.request(`/products/category/${encodeURIComponent(category)}${listQuery(query)}`),
+    };
+    this.carts = {
+      ...this.#collection('carts'),
+      /** GET /carts/user/<userId> */
+      listByUser: (userId, query) => this.request(`/carts/user/${userId}${listQuery(query)}`),
+    };
+    this.users = this.#collection('users');
+  }
+
+  /**
+   * Métodos comunes de una colección: list, get, create, update (PUT), patch y delete.
+   */
+  #collection(name) {
+    return {
+      list: (query) => this.request(`/${name}${listQuery(query)}`),
+      get: async (id) => {
+        const item = await this.request(`/${name}/${id}`);
+        if (item == null) {
+          throw new NotFoundError(t('item.notFound', { singular: COLLECTION_SCHEMAS[name].name, id }), { status: 404, statusText: 'Not Found', body: null, method: 'GET', url: `${this.baseUrl}/${name}/${id}` });
+        }
+        return item;
+      },
+      create: (item) => this.request(`/${name}`, { method: 'POST', body: item }),
+      update: (id, item) => this.request(`/${name}/${id}`, { method: 'PUT', body: item }),
+      patch: (id, changes) => this.request(`/${name}/${id}`, { method: 'PATCH', body: changes }),
+      delete: (id) => this.request(`/${name}/${id}`, { method: 'DELETE' }),
+    };
+  }
+
+  /**
+   * Inicia sesión con POST /auth/login; el token devuelto se usa en las peticiones siguientes.
+   * @returns {Promise<string>} - El token.
+   */
+  async login(username, password) {
+    const result = await this.request('/auth/login', { method: 'POST', body: { username, password } });
+    if (!result?.token) {
+      throw new FakeStoreError(t('client.noToken'));
+    }
+    this.token = result.token;
+    return result.token;
+  }
+
+  /**
+   * Realiza una petición a la API.
+   * @param {string} endpoint - El endpoint, con su query string (ej: /products?limit=5).
+   * @param {object} [options]
+   * @param {string} [options.method='GET'] - El método HTTP.
+   * @param {object|null} [options.body=null] - El cuerpo de POST, PUT o PATCH; se valida con el esquema del recurso.
+   * @returns {Promise<*>} - La respuesta parseada (null si vino vacía).
+   * @throws {ValidationError|HttpError|NotFoundError|NetworkError}
+   */
+  async request(endpoint, { method = 'GET', body = null } = {}) {
+    const url = `${this.baseUrl}${endpoint}`;
+    const options = { method, headers: {} };
+
+    if (this.token) {
+      options.headers['Authorization'] = `Bearer ${this.token}`;
+    }
+    if (body && ['POST', 'PUT', 'PATCH'].includes(method)) {
+      this.#validateBody(endpoint, method, body);
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+
+    // El cuerpo llega como texto (por si el error no es JSON) y se parsea más abajo
+    const { response, text } = await this.#fetchWithRetry(url, options);
+
+    if (!response.ok) {
+      let errorBody = text;
+      try {
+        errorBody = JSON.parse(text);
+      } catch {
+        // El cuerpo del error no es JSON: se deja como texto
+      }
+      const ErrorClass = response.status === 404 ? NotFoundError : HttpError;
+      throw new ErrorClass(t('client.httpError', { status: response.status, statusText: response.statusText, body: text }), {
+        status: response.status,
+        statusText: response.statusText,
+        body: errorBody,
+        method,
+        url,
+      });
+    }
+
+    // Las peticiones DELETE a veces no retornan cuerpo o retornan un cuerpo que no es JSON
+    const contentType = response.headers.get('content-type');
+    if (!contentType || contentType.indexOf('application/json') === -1) {
+      return { message: t('client.success', { status: response.status }) };
+    }
+    // La API real responde 200 sin cuerpo cuando el ID no existe
+    const data = text ? JSON.parse(text) : null;
+    this.validateResponse(endpoint, method, data);
+    return data;
+  }
+
+  /**
+   * Valida un cuerpo de POST, PUT o PATCH con el esquema de su colección (PATCH solo los campos enviados).
+   * @throws {ValidationError}
+   */
+  #validateBody(endpoint, method, body) {
+    const collection = COLLECTION_SCHEMAS[endpoint.split('/')[1]];
+    if (!collection) {
+      return;
+    }
+    const errors = validate(collection.schema, body, { mode: 'request', partial: method === 'PATCH' });
+    if (errors.length > 0) {
+      throw new ValidationError(formatValidationErrors(t('validation.invalidBody', { singular: collection.name }), errors), { errors });
+    }
+  }
+
+  /**
+   * Valida una respuesta con el esquema de su colección (request lo hace con cada respuesta; sirve también para las
+   * guardadas en una caché). Sin strict, los valores inválidos se informan con onWarning y la respuesta se usa igual;
+   * con strict, los campos faltantes, inesperados o inválidos lanzan ValidationError.
+   * @throws {ValidationError}
+   */
+  validateResponse(endpoint, method, data) {
+    const [name, subpath] = endpoint.split('?')[0].split('/').filter(Boolean);
+    const collection = COLLECTION_SCHEMAS[name];
+    // /products/categories devuelve textos, no productos; las respuestas vacías no se validan
+    if (!collection || subpath === 'categories' || data == null) {
+      return;
+    }
+    // PATCH: la API real devuelve solo los campos enviados (más el id)
+    const options = { mode: 'response', strict: this.strict, partial: method === 'PATCH' };
+    const errors = Array.isArray(data)
+      ? data.flatMap((item, index) => validate(collection.schema, item, { ...options, path: `[${index}]` }))
+      : validate(collection.schema, data, options);
+    if (errors.length === 0) {
+      return;
+    }
+    const message = formatValidationErrors(t('validation.invalidResponse', { method, endpoint, singular: collection.name }), errors);
+    if (this.strict) {
+      throw new ValidationError(message, { errors });
+    }
+    this.onWarning?.(message, errors);
+  }
+
+  /**
+   * Espera un lugar libre según concurrency y rateLimit antes de enviar una petición.
+   * Como el límite se aplica acá, quien llama puede lanzar muchas peticiones juntas (ej: con Promise.all).
+   */
+  async #acquireRequestSlot() {
+    if (this.activeRequests < this.concurrency) {
+      this.activeRequests++;
+    } else {
+      // releaseRequestSlot le pasa el lugar directamente a la primera petición en espera
+      await new Promise((resolve) => this.waitingRequests.push(resolve));
+    }
+
+    // Con rateLimit las peticiones salen separadas al menos por 1000 / rateLimit milisegundos
+    if (this.rateLimit > 0) {
+      const now = Date.now();
+      const startAt = Math.max(now, this.nextRequestAt);
+      this.nextRequestAt = startAt + 1000 / this.rateLimit;
+      if (startAt > now) {
+        await sleep(startAt - now);
+      }
+    }
+  }
+
+  /**
+   * Libera el lugar ocupado por una petición terminada.
+   */
+  #releaseRequestSlot() {
+    const next = this.waitingRequests.shift();
+    if (next) {
+      next();
+    } else {
+      this.activeRequests--;
+    }
+  }
+
+  /**
+   * Calcula la espera antes del próximo intento: Retry-After si el servidor lo indica,
+   * y si no, backoff exponencial (retryDelay, x2, x4...) con jitter para no reintentar todos a la vez.
+   * @param {number} attempt - El número del intento que acaba de fallar (empieza en 1).
+   * @param {Response} [response] - La respuesta fallida, si la hubo.
+   */
+  #retryDelay(attempt, response) {
+    const retryAfter = parseRetryAfter(response?.headers.get('retry-after'));
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, MAX_RETRY_DELAY);
+    }
+    const backoff = this.retryDelay * 2 ** (attempt - 1);
+    // Jitter: entre el 50% y el 100% del backoff
+    return Math.round(Math.min(backoff, MAX_RETRY_DELAY) * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Realiza la petición con fetch aplicando el tiempo de espera, el límite de peticiones y los reintentos.
+   * Solo se reintentan los métodos idempotentes, ante errores de red, 429 y 5xx.
+   * @param {string} url - La URL completa.
+   * @param {object} options - Las opciones para fetch (method, headers, body).
+   * @returns {Promise<{ response: Response, text: string }>} - La última respuesta y su cuerpo como texto.
+   * @throws {NetworkError} - Si el último intento no obtuvo respuesta.
+   */
+  async #fetchWithRetry(url, options) {
+    const maxAttempts = IDEMPOTENT_METHODS.includes(options.method) ? this.retries + 1 : 1;
+    const log = (message) => this.log?.(message);
+
+    for (let attempt = 1; ; attempt++) {
+      log(t('client.attempt', { attempt, maxAttempts, method: options.method, url }));
+      await this.#acquireRequestSlot();
+      const startedAt = Date.now();
+      // AbortController corta la petición si no termina en timeout milisegundos (0 = sin límite)
+      const controller = new AbortController();
+      const timer = this.timeout > 0 ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+      let response;
+      let text;
+      let failure;
+      try {
+        response = await fetch(url, { ...options, signal: controller.signal });
+        // El cuerpo se lee dentro del tiempo de espera: una conexión que se cuelga a mitad de la respuesta también se corta
+        text = await response.text();
+      } catch (error) {
+        // fetch informa los errores de red como 'fetch failed', con el detalle en 'cause' (ej: ECONNREFUSED)
+        failure = error.name === 'AbortError'
+          ? new NetworkError(t('client.timeout', { timeout: this.timeout }), { code: 'ETIMEDOUT', method: options.method, url })
+          : new NetworkError(`${error.message}${error.cause ? ` (${error.cause.code || error.cause.message})` : ''}`, {
+            code: error.cause?.code,
+            method: options.method,
+            url,
+            cause: error,
+          });
+      } finally {
+        clearTimeout(timer);
+        this.#releaseRequestSlot();
+      }
+      const elapsed = Date.now() - startedAt;
+
+      if (failure) {
+        log(t('client.attemptFailed', { elapsed, message: failure.message }));
+        if (attempt >= maxAttempts) throw failure;
+      } else {
+        log(t('client.attemptDone', { status: response.status, statusText: response.statusText, elapsed }));
+        if (!isRetryableStatus(response.status) || attempt >= maxAttempts) {
+          return { response, text };
+        }
+      }
+
+      const delay = this.#retryDelay(attempt, response);
+      log(t('client.retrying', { delay }));
+      await sleep(delay);
+    }
+  }
+}
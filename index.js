@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 // index.js
 // Constante para la URL base de la API
 const API_BASE_URL = 'https://fakestoreapi.com';
@@ -5,8 +6,8 @@ const API_BASE_URL = 'https://fakestoreapi.com';
 /**
  * Función para realizar peticiones a la API.
  * @param {string} endpoint - El endpoint específico de la API (ej: '/products', '/products/1').
- * @param {string} method - El método HTTP (GET, POST, PUT, DELETE).
- * @param {object} [body=null] - El cuerpo de la petición para POST o PUT.
+ * @param {string} method - El método HTTP (GET, POST, PUT, PATCH, DELETE).
+ * @param {object} [body=null] - El cuerpo de la petición para POST, PUT o PATCH.
  * @returns {Promise<object>} - La respuesta de la API parseada como JSON. Los datos devueltos por GET siguiendo la estructura JSON:
          products [
         { 
@@ -21,211 +22,2776 @@ const API_BASE_URL = 'https://fakestoreapi.com';
  */
 
 import { argv } from "process";  // importing only the argv property from the built-in Node.js module "process"; por ende, no es necesario importarlo; esta línea se podría directamente eliminar, porque process ya viene incluido.
+import { readFile, writeFile, appendFile, chmod, unlink } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { startServer } from './server.js';
+import { SCHEMAS, validate, formatValidationErrors } from './schemas.js';
+import { FakeStoreClient, HttpError, NetworkError, NotFoundError, ValidationError } from './client.js';
+import { t, setLocale, detectLocale, normalizeLocale, DEFAULT_LOCALE, LOCALES } from './messages.js';
+
+// Formatos de salida disponibles con --format
+const OUTPUT_FORMATS = ['pretty', 'json', 'ndjson', 'csv', 'table'];
+
+/**
+ * Claves de configuración. Cada una tiene un tipo, un valor por defecto, y opcionalmente
+ * la variable de entorno y la opción de línea de comandos que la reemplazan.
+ * El orden de prioridad es: por defecto < ~/.fakestorerc < ./.fakestorerc.json < perfil < variable de entorno < opción.
+ */
+const CONFIG_KEYS = {
+  baseUrl: { type: 'url', default: API_BASE_URL, env: 'FAKESTORE_BASE_URL', flag: 'base-url' },
+  timeout: { type: 'integer', default: 10000, env: 'FAKESTORE_TIMEOUT', flag: 'timeout' },
+  retries: { type: 'integer', default: 3, env: 'FAKESTORE_RETRIES', flag: 'retries' },
+  retryDelay: { type: 'integer', default: 500, env: 'FAKESTORE_RETRY_DELAY', flag: 'retry-delay' },
+  concurrency: { type: 'integer', min: 1, default: 4, env: 'FAKESTORE_CONCURRENCY', flag: 'concurrency' },
+  rateLimit: { type: 'number', default: 0, env: 'FAKESTORE_RATE_LIMIT', flag: 'rate-limit' },
+  verbose: { type: 'boolean', default: false, env: 'FAKESTORE_VERBOSE', flag: 'verbose' },
+  strict: { type: 'boolean', default: false, env: 'FAKESTORE_STRICT', flag: 'strict' },
+  cacheTtl: { type: 'integer', default: 300, env: 'FAKESTORE_CACHE_TTL', flag: 'cache-ttl' },
+  format: { type: 'string', values: OUTPUT_FORMATS, default: 'pretty', env: 'FAKESTORE_FORMAT', flag: 'format' },
+  // Idioma de los mensajes: por defecto, el de LC_ALL o LANG si es uno de los disponibles (si no, español)
+  lang: { type: 'locale', default: detectLocale() ?? DEFAULT_LOCALE, env: 'FAKESTORE_LANG', flag: 'lang' },
+  // Valores por defecto para los productos creados o reemplazados desde la CLI
+  // FakeStoreAPI espera 'description' e 'image', así que se usan estos valores si no se proporcionan
+  defaultDescription: { type: 'string', default: 'Default product description', env: 'FAKESTORE_DEFAULT_DESCRIPTION' },
+  defaultImage: { type: 'string', default: 'https://calculo-intereses.onrender.com', env: 'FAKESTORE_DEFAULT_IMAGE' }, // Imagen placeholder por defecto; es mi web page.
+};
+
+// Opciones de conexión de la ejecución actual (main las completa con la configuración resuelta)
+const requestOptions = {
+  baseUrl: CONFIG_KEYS.baseUrl.default, // --base-url permite apuntar a otro servidor (ej: 'serve')
+  timeout: CONFIG_KEYS.timeout.default, // --timeout: milisegundos por intento (0 = sin límite)
+  retries: CONFIG_KEYS.retries.default, // --retries: reintentos de GET/PUT/DELETE ante errores de red, 429 o 5xx
+  retryDelay: CONFIG_KEYS.retryDelay.default, // --retry-delay: espera base del backoff, en milisegundos
+  concurrency: CONFIG_KEYS.concurrency.default, // --concurrency: peticiones simultáneas como máximo
+  rateLimit: CONFIG_KEYS.rateLimit.default, // --rate-limit: peticiones por segundo como máximo (0 = sin límite)
+  verbose: CONFIG_KEYS.verbose.default, // --verbose: muestra cada intento en stderr
+  strict: CONFIG_KEYS.strict.default, // --strict: las respuestas con campos faltantes, inesperados o inválidos son un error
+};
  
+/**
+ * Cliente de la API con la caché, el modo offline y la sesión de la CLI.
+ * Sobrescribe request, así que los métodos de las colecciones (ej: client.products.get) también pasan por la caché.
+ */
+class CliClient extends FakeStoreClient {
+  async request(endpoint, { method = 'GET', body = null } = {}) {
+    // Construye la URL completa para la petición (también es la clave de la caché)
+    const url = `${this.baseUrl}${endpoint}`;
+
+    // Las respuestas GET se pueden servir desde la caché; con --offline es la única opción
+    const cacheKey = `${method} ${url}`;
+    if (method === 'GET' && (cacheOptions.enabled || cacheOptions.offline)) {
+      const entry = (await loadCache())[cacheKey];
+      // En modo offline se usan también las entradas vencidas: es mejor un dato viejo que ninguno
+      if (entry && (cacheOptions.offline || isFresh(entry))) {
+        // Se validan igual que una respuesta nueva, así --strict también rechaza las guardadas
+        this.validateResponse(endpoint, method, entry.data);
+        return entry.data;
+      }
+      if (cacheOptions.offline) {
+        throw new NetworkError(t('offline.notCached', { request: cacheKey }), { code: 'EOFFLINE', method, url });
+      }
+    } else if (cacheOptions.offline) {
+      throw new NetworkError(t('offline.cannotSend', { request: cacheKey }), { code: 'EOFFLINE', method, url });
+    }
+
+    // Si hay una sesión iniciada con 'login', el cliente envía el token en cada petición
+    const credentials = await loadCredentials();
+    this.token = credentials?.token ?? null;
+
+    try {
+      // FakeStoreClient aplica el tiempo de espera, los reintentos, el límite de peticiones y la validación de esquemas,
+      // y lanza errores tipados (HttpError, NotFoundError, NetworkError, ValidationError)
+      const data = await super.request(endpoint, { method, body });
+
+      if (method === 'GET') {
+        // Guarda la respuesta para las próximas ejecuciones (también con --no-cache, para refrescarla)
+        (await loadCache())[cacheKey] = { storedAt: Date.now(), data };
+        await saveCache();
+      } else {
+        // Las modificaciones invalidan las respuestas guardadas del mismo recurso
+        await invalidateCache(url);
+      }
+      return data;
+    } catch (error) {
+      // Captura cualquier error durante la petición o el parseo (con --json-errors solo se muestra el objeto JSON final)
+      if (!outputOptions.jsonErrors) {
+        console.error(t('api.requestFailed', { method, url }), error.message);
+      }
+      // Muestra el error para que sea manejado por la función que hizo la petición
+      throw error;
+    }
+  }
+}
+
+// Cliente de la API (client.js) con las opciones de la ejecución actual; applyConfig lo vuelve a crear
+let client = createClient();
+
+/**
+ * Crea el cliente de la API a partir de requestOptions.
+ * Con --verbose, el detalle de cada intento se muestra en stderr; los avisos de validación siempre.
+ */
+function createClient() {
+  return new CliClient({
+    ...requestOptions,
+    log: requestOptions.verbose ? (message) => console.error(message) : null,
+    onWarning: (message) => printWarning('INVALID_RESPONSE', t('warning', { message })),
+  });
+}
+
 async function apiRequest(endpoint, method = 'GET', body = null) {
-  // Construye la URL completa para la petición
-  const url = `${API_BASE_URL}${endpoint}`;
-  // Configura las opciones iniciales para fetch
-  const options = {
-    method, // Método HTTP (GET, POST, etc.)
-    headers: {}, // Cabeceras de la petición
+  return await client.request(endpoint, { method, body });
+}
+
+// Archivo donde se guarda el token obtenido con 'login' (se puede cambiar con FAKESTORE_CREDENTIALS)
+const CREDENTIALS_FILE = process.env.FAKESTORE_CREDENTIALS || join(homedir(), '.fakestore-credentials.json');
+
+// Credenciales ya leídas del disco, para no leer el archivo en cada petición
+let cachedCredentials;
+
+/**
+ * Lee las credenciales guardadas por 'login'.
+ * @returns {Promise<{ token: string, username: string, loggedInAt: string }|null>} - Las credenciales, o null si no hay sesión.
+ */
+async function loadCredentials() {
+  if (cachedCredentials !== undefined) {
+    return cachedCredentials;
+  }
+  try {
+    cachedCredentials = JSON.parse(await readFile(CREDENTIALS_FILE, 'utf8'));
+  } catch (error) {
+    // Si el archivo no existe no hay sesión; cualquier otro problema (ej: JSON corrupto) se informa
+    if (error.code !== 'ENOENT') {
+      printWarning('CREDENTIALS_READ_FAILED', t('credentials.readFailed', { file: CREDENTIALS_FILE }), error.message);
+    }
+    cachedCredentials = null;
+  }
+  return cachedCredentials;
+}
+
+/**
+ * Guarda las credenciales en disco con permisos restrictivos (solo lectura/escritura para el dueño).
+ * @param {{ token: string, username: string, loggedInAt: string }} credentials - Las credenciales a guardar.
+ */
+async function saveCredentials(credentials) {
+  await writeFile(CREDENTIALS_FILE, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+  // 'mode' solo se aplica al crear el archivo, así que se fuerza también si ya existía
+  await chmod(CREDENTIALS_FILE, 0o600);
+  cachedCredentials = credentials;
+}
+
+/**
+ * Borra el archivo de credenciales.
+ * @returns {Promise<boolean>} - true si había una sesión guardada.
+ */
+async function clearCredentials() {
+  cachedCredentials = null;
+  try {
+    await unlink(CREDENTIALS_FILE);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Decodifica el payload de un token JWT (sin verificar la firma) para mostrar sus datos.
+ * @param {string} token - El token devuelto por /auth/login.
+ * @returns {object|null} - El payload (ej: { sub: 2, user: 'mor_2314', iat: ... }), o null si no es un JWT.
+ */
+function decodeTokenPayload(token) {
+  try {
+    const payload = token.split('.')[1];
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Archivo de la caché de respuestas GET (se puede cambiar con FAKESTORE_CACHE_FILE)
+const CACHE_FILE = process.env.FAKESTORE_CACHE_FILE || join(homedir(), '.fakestore-cache.json');
+
+// Opciones de caché de la ejecución actual (las completa main a partir de --no-cache, --offline y la configuración)
+const cacheOptions = {
+  enabled: true, // false con --no-cache: no se lee la caché, pero se guarda la respuesta nueva
+  offline: false, // true con --offline: solo se responde desde la caché, sin conexión
+  ttl: CONFIG_KEYS.cacheTtl.default, // Segundos que una respuesta se considera vigente
+};
+
+// Entradas de la caché ya leídas del disco ({ [clave]: { storedAt, data } })
+let cacheEntries;
+// Escrituras pendientes del archivo de caché, encadenadas para que no se pisen entre sí
+let pendingCacheWrite = Promise.resolve();
+
+/**
+ * Lee las entradas de la caché desde el disco (una sola vez por ejecución).
+ * @returns {Promise<object>} - Las entradas, indexadas por 'METHOD URL'.
+ */
+async function loadCache() {
+  if (cacheEntries !== undefined) {
+    return cacheEntries;
+  }
+  try {
+    cacheEntries = JSON.parse(await readFile(CACHE_FILE, 'utf8'));
+  } catch (error) {
+    // Si el archivo no existe se empieza con la caché vacía; si está dañado se avisa y también
+    if (error.code !== 'ENOENT') {
+      printWarning('CACHE_READ_FAILED', t('cache.readFailed', { file: CACHE_FILE }), error.message);
+    }
+    cacheEntries = {};
+  }
+  return cacheEntries;
+}
+
+/**
+ * Guarda en disco el estado actual de la caché, sin las entradas vencidas (si no, el archivo crecería sin límite).
+ * Las respuestas pueden incluir datos privados (ej: las contraseñas de /users), así que solo las lee el usuario.
+ */
+function saveCache() {
+  for (const [key, entry] of Object.entries(cacheEntries)) {
+    if (!isFresh(entry)) {
+      delete cacheEntries[key];
+    }
+  }
+  pendingCacheWrite = pendingCacheWrite.then(async () => {
+    await writeFile(CACHE_FILE, JSON.stringify(cacheEntries), { mode: 0o600 });
+    // 'mode' solo se aplica al crear el archivo, así que se fuerza también si ya existía
+    await chmod(CACHE_FILE, 0o600);
+  });
+  return pendingCacheWrite;
+}
+
+/**
+ * Indica si una entrada de la caché sigue vigente según el TTL.
+ */
+function isFresh(entry) {
+  return Date.now() - entry.storedAt < cacheOptions.ttl * 1000;
+}
+
+/**
+ * Borra de la caché las respuestas afectadas por una modificación.
+ * Un POST/PUT/PATCH/DELETE sobre /products/7 invalida todo lo que empieza con /products
+ * (la lista, el producto, las categorías), porque cualquiera de esas respuestas pudo cambiar.
+ * @param {string} url - La URL de la petición que modificó datos.
+ */
+async function invalidateCache(url) {
+  const entries = await loadCache();
+  const resource = new URL(url).pathname.split('/')[1];
+  let removed = 0;
+  for (const key of Object.keys(entries)) {
+    const [, cachedUrl] = key.split(' ');
+    if (new URL(cachedUrl).pathname.split('/')[1] === resource) {
+      delete entries[key];
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    await saveCache();
+  }
+}
+
+/**
+ * Verifica que un valor recibido por línea de comandos sea un ID numérico (ej: '7').
+ * @param {string} value - El valor a verificar.
+ * @returns {boolean} - true si es un entero positivo o cero.
+ */
+function isNumericId(value) {
+  return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+/**
+ * Convierte un valor recibido por línea de comandos en un número decimal (ej: '12.5').
+ * A diferencia de parseFloat, rechaza los textos con caracteres de más (parseFloat leería '12abc' como 12).
+ * @param {*} value - El valor a convertir.
+ * @returns {number} - El número, o NaN si el valor no es un número completo.
+ */
+function parseDecimal(value) {
+  const text = String(value ?? '').trim();
+  return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Pone en mayúscula la primera letra de un texto (ej: 'producto' -> 'Producto').
+ * @param {string} text - El texto a convertir.
+ * @returns {string}
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Convierte una lista de 'productId:quantity' (ej: '1:2,5:1' o varios argumentos) en las líneas de un carrito.
+ * @param {string[]} items - Los pares productId:quantity.
+ * @returns {{ value?: object[], error?: string }}
+ */
+function parseCartProducts(items) {
+  const products = [];
+  for (const item of items) {
+    const [productId, quantity] = item.split(':');
+    if (!isNumericId(productId) || !isNumericId(quantity) || parseInt(quantity) === 0) {
+      return { error: t('cart.invalidLine', { item }) };
+    }
+    products.push({ productId: parseInt(productId), quantity: parseInt(quantity) });
+  }
+  return { value: products };
+}
+
+/**
+ * Registro de recursos de la API.
+ * Cada recurso describe cómo se llama en los mensajes, cómo se arma el cuerpo de POST/PUT
+ * a partir de los argumentos posicionales, cómo se convierte cada campo en PATCH
+ * y con qué esquema (de schemas.js) se validan los cuerpos enviados y las respuestas.
+ * Los nombres (singular y plural) salen del catálogo de mensajes, en el idioma de la ejecución.
+ * Para agregar un recurso nuevo alcanza con sumarlo aquí y declarar sus rutas en ROUTES.
+ */
+const RESOURCES = {
+  products: {
+    get singular() { return t('resource.products.singular'); },
+    get plural() { return t('resource.products.plural'); },
+    schema: SCHEMAS.product,
+    // Campos que se comparan al mostrar las diferencias y que se pueden modificar con PATCH
+    fields: ['title', 'price', 'description', 'category', 'image'],
+    usage: '<title> <price> <category> [description] [image]',
+    example: '"Mi Producto" 10.99 "electronica"',
+    minArgs: 3,
+    parseField(field, value) {
+      if (field === 'price') {
+        // El precio debe ser un número completo (ej: 12.5)
+        const price = parseDecimal(value);
+        if (isNaN(price)) {
+          return { error: t('product.invalidPrice', { value: String(value ?? '').trim() }) };
+        }
+        return { value: price };
+      }
+      return { value };
+    },
+    buildBody(args) {
+      const [title, priceStr, category, description, image] = args;
+      // El título y la categoría son obligatorios (un argumento "" también cuenta como faltante)
+      if (!title || !category) {
+        return { error: t('product.titleAndCategoryRequired') };
+      }
+      const price = this.parseField('price', priceStr);
+      if (price.error) {
+        return { error: price.error };
+      }
+      return {
+        body: {
+          title,
+          price: price.value,
+          category,
+          // Valores por defecto de la configuración (defaultDescription, defaultImage) si no se proporcionan
+          description: description || activeConfig.values.defaultDescription,
+          image: image || activeConfig.values.defaultImage,
+        },
+      };
+    },
+  },
+
+  carts: {
+    get singular() { return t('resource.carts.singular'); },
+    get plural() { return t('resource.carts.plural'); },
+    schema: SCHEMAS.cart,
+    fields: ['userId', 'date', 'products'],
+    usage: '<userId> <productId>:<quantity> [<productId>:<quantity>...]',
+    example: '1 3:2 7:1',
+    minArgs: 2,
+    parseField(field, value) {
+      if (field === 'userId') {
+        if (!isNumericId(value)) {
+          return { error: t('cart.invalidUserId') };
+        }
+        return { value: parseInt(value) };
+      }
+      if (field === 'date') {
+        if (isNaN(Date.parse(value))) {
+          return { error: t('cart.invalidDate', { value }) };
+        }
+        return { value };
+      }
+      // products=1:2,3:1
+      return parseCartProducts(value.split(','));
+    },
+    buildBody(args) {
+      const [userIdStr, ...items] = args;
+      const userId = this.parseField('userId', userIdStr);
+      if (userId.error) {
+        return { error: userId.error };
+      }
+      const products = parseCartProducts(items);
+      if (products.error) {
+        return { error: products.error };
+      }
+      return {
+        body: {
+          userId: userId.value,
+          date: new Date().toISOString().slice(0, 10), // Fecha de hoy en formato AAAA-MM-DD
+          products: products.value,
+        },
+      };
+    },
+  },
+
+  users: {
+    get singular() { return t('resource.users.singular'); },
+    get plural() { return t('resource.users.plural'); },
+    schema: SCHEMAS.user,
+    fields: ['email', 'username', 'password', 'name', 'phone'],
+    usage: '<email> <username> <password> [firstname] [lastname] [phone]',
+    example: '"ana@mail.com" ana secreto123 Ana Pérez',
+    minArgs: 3,
+    parseField(field, value) {
+      if (field === 'email' && !value.includes('@')) {
+        return { error: t('user.invalidEmail', { value }) };
+      }
+      if (field === 'name') {
+        // El nombre llega como "Nombre Apellido" y la API lo guarda como { firstname, lastname }
+        const [firstname = '', ...rest] = value.split(' ');
+        return { value: { firstname, lastname: rest.join(' ') } };
+      }
+      return { value };
+    },
+    buildBody(args) {
+      const [email, username, password, firstname, lastname, phone] = args;
+      const checkedEmail = this.parseField('email', email);
+      if (checkedEmail.error) {
+        return { error: checkedEmail.error };
+      }
+      const body = { email, username, password };
+      // name y phone son opcionales, solo se envían si se proporcionan
+      if (firstname || lastname) {
+        body.name = { firstname: firstname || '', lastname: lastname || '' };
+      }
+      if (phone) {
+        body.phone = phone;
+      }
+      return { body };
+    },
+  },
+};
+
+/**
+ * Convierte pares 'campo=valor' (ej: price=12.5 title="Nuevo") en un objeto parcial del recurso.
+ * @param {string[]} pairs - Los argumentos recibidos desde la línea de comandos.
+ * @param {object} resource - La entrada de RESOURCES que define los campos válidos.
+ * @returns {{ changes: object, error: ValidationError|null }} - Los cambios a aplicar, o el error si algún par no es válido.
+ */
+function parseFieldAssignments(pairs, resource) {
+  const changes = {};
+  for (const pair of pairs) {
+    const separatorIndex = pair.indexOf('=');
+    // Cada argumento debe tener la forma campo=valor, con un nombre de campo no vacío
+    if (separatorIndex <= 0) {
+      return { changes, error: new ValidationError(t('patch.invalidArgument', { pair }), { errors: [] }) };
+    }
+    const field = pair.slice(0, separatorIndex);
+    const value = pair.slice(separatorIndex + 1);
+
+    if (!resource.fields.includes(field)) {
+      return { changes, error: new ValidationError(t('patch.fieldNotEditable', { field, fields: resource.fields.join(', ') }), { errors: [{ field, message: t('patch.notEditable') }] }) };
+    }
+    // Cada recurso valida sus propios campos (ej: el precio de un producto debe ser numérico)
+    const parsed = resource.parseField(field, value);
+    if (parsed.error) {
+      return { changes, error: new ValidationError(parsed.error, { errors: [{ field, message: parsed.error }] }) };
+    }
+    changes[field] = parsed.value;
+  }
+  return { changes, error: validateBody(resource, changes, { partial: true }) };
+}
+
+/**
+ * Valida un cuerpo de POST, PUT o PATCH con el esquema del recurso antes de enviarlo.
+ * @param {object} resource - La entrada de RESOURCES.
+ * @param {object} body - El cuerpo a enviar.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - En PATCH solo se validan los campos enviados.
+ * @returns {ValidationError|null} - El error con los problemas de cada campo, o null si el cuerpo es válido.
+ */
+function validateBody(resource, body, { partial = false } = {}) {
+  const errors = validate(resource.schema, body, { mode: 'request', partial });
+  return errors.length ? new ValidationError(formatValidationErrors(t('validation.invalidBody', { singular: resource.singular }), errors), { errors }) : null;
+}
+
+/**
+ * Arma el cuerpo de POST/PUT con resource.buildBody y lo valida con el esquema del recurso.
+ * @returns {{ body?: object, error?: ValidationError }}
+ */
+function buildRequestBody(resource, args) {
+  const { body, error } = resource.buildBody(args);
+  if (error) {
+    return { error: new ValidationError(error, { errors: [] }) };
+  }
+  const invalid = validateBody(resource, body);
+  return invalid ? { error: invalid } : { body };
+}
+
+/**
+ * Muestra las diferencias entre un elemento antes y después de una modificación.
+ * @param {object} before - El elemento tal como estaba antes de la petición.
+ * @param {object} after - El elemento tal como quedó después de la petición.
+ * @param {string[]} fields - Los campos a comparar.
+ */
+function printDiff(before, after, fields) {
+  // Se comparan solo los campos editables; id y rating no se modifican desde la CLI
+  const changedFields = fields.filter(
+    (field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field])
+  );
+
+  if (changedFields.length === 0) {
+    printInfo(t('diff.noChanges'));
+    return;
+  }
+  printInfo(t('diff.applied'));
+  for (const field of changedFields) {
+    printInfo(`  ${field}:`);
+    printInfo(`    - ${JSON.stringify(before?.[field])}`);
+    printInfo(`    + ${JSON.stringify(after?.[field])}`);
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Salida: todos los resultados pasan por printResult, que respeta --format y --fields.
+// ---------------------------------------------------------------------------------------------
+
+// Opciones de salida de la ejecución actual (las completa main a partir de la configuración y --fields)
+const outputOptions = {
+  format: CONFIG_KEYS.format.default,
+  fields: null,
+  jsonErrors: false, // --json-errors: los errores se muestran en stderr como JSON
+  raw: false, // --raw: valores sueltos, sin etiquetas ni formato (para scripts de shell)
+};
+
+/**
+ * Obtiene un valor anidado a partir de un path con puntos y corchetes (ej: 'rating.rate', '[0].title', 'products[1].quantity').
+ * @param {object} source - El objeto (o array) del que se lee el valor.
+ * @param {string} path - El path del campo.
+ * @returns {*} - El valor, o undefined si no existe.
+ */
+function getPath(source, path) {
+  // '[0].title' se convierte en '0.title', así los índices se leen igual que las claves
+  const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  return keys.reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+/**
+ * Aplana un objeto usando paths con puntos (ej: { rating: { rate: 4 } } -> { 'rating.rate': 4 }).
+ * Los arrays se dejan como están y se muestran como JSON.
+ */
+function flattenObject(source, prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(source)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenObject(value, path));
+    } else {
+      flat[path] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Se queda solo con los campos pedidos en --fields (admite paths con puntos como 'rating.rate').
+ * @param {*} data - Un objeto, un array de objetos o un valor simple.
+ * @param {string[]} fields - Los campos a conservar.
+ * @returns {*} - Los datos filtrados; los valores simples se devuelven sin cambios.
+ */
+function selectFields(data, fields) {
+  if (Array.isArray(data)) {
+    return data.map((item) => selectFields(item, fields));
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  return Object.fromEntries(fields.map((field) => [field, getPath(data, field)]));
+}
+
+/**
+ * Convierte cualquier resultado en filas planas para CSV y tabla.
+ * @returns {{ rows: object[], columns: string[] }}
+ */
+function toRows(data) {
+  const items = Array.isArray(data) ? data : [data];
+  const rows = items.map((item) => (item && typeof item === 'object' ? flattenObject(item) : { value: item }));
+  // Las columnas son las de --fields o la unión de las claves de todas las filas, en orden de aparición
+  const columns = outputOptions.fields || [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { rows, columns };
+}
+
+/**
+ * Convierte el valor de una celda en texto (los objetos y arrays se muestran como JSON).
+ */
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Escapa un valor para CSV: se encierra entre comillas si tiene comas, comillas o saltos de línea.
+ */
+function csvEscape(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Genera el CSV de un resultado, con fila de encabezados.
+ */
+function renderCsv(data) {
+  const { rows, columns } = toRows(data);
+  const lines = [columns.map(csvEscape).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvEscape(row[column])).join(','));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Genera una tabla de texto que entra en el ancho de la terminal, truncando las columnas más anchas.
+ */
+function renderTable(data) {
+  const { rows, columns } = toRows(data);
+  const separator = ' | ';
+  // Los saltos de línea romperían la tabla, así que se reemplazan por espacios
+  const cells = rows.map((row) => columns.map((column) => cellText(row[column]).replace(/\s+/g, ' ')));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map((row) => row[index].length)));
+
+  // Ancho disponible: el de la terminal (o $COLUMNS, o 120 si la salida no es una terminal) menos los separadores
+  const terminalWidth = process.stdout.columns || parseInt(process.env.COLUMNS) || 120;
+  const available = terminalWidth - separator.length * (columns.length - 1);
+  const minWidth = 3;
+  let total = widths.reduce((sum, width) => sum + width, 0);
+  while (total > available) {
+    // Se achica de a un carácter la columna más ancha, hasta que entre o no se pueda achicar más
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= minWidth) break;
+    widths[widest]--;
+    total--;
+  }
+
+  const fit = (text, width) => (text.length > width ? text.slice(0, width - 1) + '…' : text.padEnd(width));
+  const lines = [
+    columns.map((column, index) => fit(column, widths[index])).join(separator),
+    widths.map((width) => '-'.repeat(width)).join('-+-'),
+    ...cells.map((row) => row.map((text, index) => fit(text, widths[index])).join(separator)),
+  ];
+  return lines.map((line) => line.trimEnd()).join('\n');
+}
+
+/**
+ * Muestra el resultado de un comando en el formato elegido con --format.
+ * @param {string|null} label - Texto que precede al resultado en formato 'pretty' (ej: 'Productos obtenidos:').
+ * @param {*} data - El resultado a mostrar.
+ */
+function printResult(label, data) {
+  const selected = outputOptions.fields ? selectFields(data, outputOptions.fields) : data;
+
+  if (outputOptions.raw) {
+    // Un elemento por línea; los campos de un mismo elemento se separan con tabuladores
+    for (const item of Array.isArray(selected) ? selected : [selected]) {
+      const isRecord = item && typeof item === 'object' && !Array.isArray(item);
+      console.log(isRecord ? Object.values(item).map(cellText).join('\t') : cellText(item));
+    }
+    return;
+  }
+
+  switch (outputOptions.format) {
+    case 'json':
+      console.log(JSON.stringify(selected, null, 2));
+      break;
+    case 'ndjson':
+      // Un objeto JSON por línea; las listas se separan en un elemento por línea
+      for (const item of Array.isArray(selected) ? selected : [selected]) {
+        console.log(JSON.stringify(item));
+      }
+      break;
+    case 'csv':
+      console.log(renderCsv(selected));
+      break;
+    case 'table':
+      console.log(renderTable(selected));
+      break;
+    default:
+      if (label) {
+        console.log(label, selected);
+      } else {
+        console.log(selected);
+      }
+  }
+}
+
+/**
+ * Muestra un mensaje informativo. En los formatos para máquinas (y con --raw) va a stderr, para no mezclarse con los datos.
+ */
+function printInfo(...message) {
+  if (outputOptions.format === 'pretty' && !outputOptions.raw) {
+    console.log(...message);
+  } else if (outputOptions.jsonErrors) {
+    console.error(JSON.stringify({ info: { message: message.join(' ') } }));
+  } else {
+    console.error(...message);
+  }
+}
+
+/**
+ * Muestra un aviso en stderr (ej: una respuesta que no coincide con el esquema, o una caché dañada).
+ * Con --json-errors sale como una línea JSON ({ warning: { code, message } }), para que stderr siga siendo legible por un script.
+ */
+function printWarning(code, ...message) {
+  if (outputOptions.jsonErrors) {
+    console.error(JSON.stringify({ warning: { code, message: message.join(' ') } }));
+  } else {
+    console.error(...message);
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Opciones globales de la línea de comandos (ej: --format json, --fields=id,title).
+// ---------------------------------------------------------------------------------------------
+
+// Opciones reconocidas; las de tipo 'string' requieren un valor
+const CLI_OPTIONS = {
+  format: { type: 'string' },
+  fields: { type: 'string' },
+  raw: { type: 'boolean' },
+  category: { type: 'string' },
+  'min-price': { type: 'string' },
+  'max-price': { type: 'string' },
+  'min-rating': { type: 'string' },
+  search: { type: 'string' },
+  sort: { type: 'string' },
+  desc: { type: 'boolean' },
+  limit: { type: 'string' },
+  offset: { type: 'string' },
+  'no-cache': { type: 'boolean' },
+  offline: { type: 'boolean' },
+  'cache-ttl': { type: 'string' },
+  'base-url': { type: 'string' },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  'retry-delay': { type: 'string' },
+  concurrency: { type: 'string' },
+  'rate-limit': { type: 'string' },
+  verbose: { type: 'boolean' },
+  strict: { type: 'boolean' },
+  'json-errors': { type: 'boolean' },
+  lang: { type: 'string' },
+  port: { type: 'string' },
+  data: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  report: { type: 'string' },
+  out: { type: 'string' },
+  include: { type: 'string' },
+  live: { type: 'boolean' },
+  'fail-on-changes': { type: 'boolean' },
+  top: { type: 'string' },
+  by: { type: 'string' },
+  buckets: { type: 'string' },
+  profile: { type: 'string' },
+  project: { type: 'boolean' },
+};
+
+/**
+ * Separa las opciones (--nombre valor, --nombre=valor) de los argumentos posicionales.
+ * @param {string[]} argv - Los argumentos de la línea de comandos, sin 'node' ni 'index.js'.
+ * Después de un error se siguen leyendo las opciones, para que --lang se aplique aunque venga más adelante;
+ * por eso el error se devuelve como [clave, valores] del catálogo y se traduce al mostrarlo.
+ * @returns {{ positionals: string[], options: object, error: [string, object]|null }} - El error es el primero encontrado.
+ */
+function parseCliArgs(argv) {
+  const positionals = [];
+  const options = {};
+  let error = null;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    // '--' indica que todo lo que sigue son argumentos posicionales (ej: un título que empieza con --)
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const separatorIndex = arg.indexOf('=');
+    const name = separatorIndex === -1 ? arg.slice(2) : arg.slice(2, separatorIndex);
+    const definition = CLI_OPTIONS[name];
+    if (!definition) {
+      error ??= ['cli.unknownOption', { name }];
+      continue;
+    }
+    if (definition.type === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    // El valor puede venir después del '=' o en el argumento siguiente
+    const value = separatorIndex === -1 ? argv[++i] : arg.slice(separatorIndex + 1);
+    if (value === undefined || value === '') {
+      error ??= ['cli.missingValue', { name }];
+      continue;
+    }
+    options[name] = value;
+  }
+  return { positionals, options, error };
+}
+
+/**
+ * Aplica --no-cache y --offline a cacheOptions.
+ * @returns {string|null} - Un mensaje de error si las opciones no se pueden combinar.
+ */
+function configureCache(options) {
+  if (options['no-cache'] && options.offline) {
+    return t('cli.cacheConflict');
+  }
+  cacheOptions.enabled = !options['no-cache'];
+  cacheOptions.offline = Boolean(options.offline);
+  return null;
+}
+
+/**
+ * Aplica --fields y --raw a outputOptions (el formato sale de la configuración, que incluye --format).
+ */
+function configureOutput(options) {
+  // Se reinicia en cada comando, porque en el modo 'shell' se ejecutan varios en el mismo proceso
+  outputOptions.fields = options.fields
+    ? options.fields.split(',').map((field) => field.trim()).filter(Boolean)
+    : null;
+  outputOptions.raw = Boolean(options.raw);
+}
+
+// ---------------------------------------------------------------------------------------------
+// Configuración en capas: valores por defecto, archivos de configuración, perfiles, variables de entorno y opciones.
+// ---------------------------------------------------------------------------------------------
+
+// Archivo de configuración del usuario (se puede cambiar con FAKESTORE_CONFIG) y del proyecto (en el directorio actual)
+const USER_CONFIG_FILE = process.env.FAKESTORE_CONFIG || join(homedir(), '.fakestorerc');
+const PROJECT_CONFIG_FILE = join(process.cwd(), '.fakestorerc.json');
+
+// Configuración resuelta de la ejecución actual: { values, sources, profile } (la completa main)
+let activeConfig = null;
+
+/**
+ * Convierte y valida un valor de configuración según el tipo de su clave.
+ * Los valores pueden venir como texto (variables de entorno, opciones, 'config set') o ya tipados (archivos JSON).
+ * @param {string} key - La clave de CONFIG_KEYS.
+ * @param {*} raw - El valor a convertir.
+ * @returns {{ value?: *, error?: string }}
+ */
+function parseConfigValue(key, raw) {
+  const definition = CONFIG_KEYS[key];
+  const text = String(raw).trim();
+  switch (definition.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : /^\d+$/.test(text) ? parseInt(text) : NaN;
+      const min = definition.min ?? 0;
+      if (!Number.isInteger(value) || value < min) {
+        return { error: t('config.mustBeInteger', { min }) };
+      }
+      return { value };
+    }
+    case 'number': {
+      // Se admiten decimales: rateLimit 0.5 es una petición cada 2 segundos
+      const value = typeof raw === 'number' ? raw : text === '' ? NaN : Number(text);
+      if (isNaN(value) || value < 0) {
+        return { error: t('config.mustBeNumber') };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || ['1', 'true'].includes(text)) return { value: true };
+      if (raw === false || ['0', 'false'].includes(text)) return { value: false };
+      return { error: t('config.mustBeBoolean') };
+    case 'url':
+      try {
+        new URL(text);
+      } catch {
+        return { error: t('config.mustBeUrl') };
+      }
+      // Sin barra final, porque los endpoints ya empiezan con '/'
+      return { value: text.replace(/\/+$/, '') };
+    case 'locale': {
+      // Se aceptan también los valores de LANG y LC_ALL (ej: en_US.UTF-8 es 'en')
+      const value = normalizeLocale(text);
+      if (!value) {
+        return { error: t('config.mustBeOneOf', { values: LOCALES.join(', ') }) };
+      }
+      return { value };
+    }
+    default:
+      if (definition.values && !definition.values.includes(text)) {
+        return { error: t('config.mustBeOneOf', { values: definition.values.join(', ') }) };
+      }
+      return { value: text };
+  }
+}
+
+/**
+ * Lee un archivo de configuración JSON.
+ * @param {string} file - La ruta del archivo.
+ * @returns {Promise<object>} - Su contenido, o {} si no existe.
+ */
+async function readConfigFile(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new Error(t('config.readFailed', { file, message: error.message }));
+  }
+}
+
+/**
+ * Resuelve la configuración combinando todas las capas, de menor a mayor prioridad:
+ * valores por defecto, ~/.fakestorerc, ./.fakestorerc.json, el perfil elegido (de cada archivo),
+ * las variables de entorno y las opciones de línea de comandos.
+ * @param {object} options - Las opciones de línea de comandos.
+ * @param {object} [settings]
+ * @param {boolean} [settings.creatingProfile=false] - true en 'config set', que crea el perfil si todavía no existe.
+ * @returns {Promise<{ values: object, sources: object, profile: string|null, errors: string[] }>}
+ *   Los valores, de dónde salió cada uno y los errores encontrados (los valores inválidos se ignoran).
+ *   Los orígenes son [clave, valores] del catálogo y se traducen al mostrarlos, porque 'lang' también puede venir de un archivo.
+ */
+async function resolveConfig(options, { creatingProfile = false } = {}) {
+  const errors = [];
+  const files = [];
+  for (const file of [USER_CONFIG_FILE, PROJECT_CONFIG_FILE]) {
+    try {
+      files.push({ file, data: await readConfigFile(file) });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  // El perfil se elige con --profile, FAKESTORE_PROFILE o la clave 'profile' de un archivo
+  const profile = options.profile || process.env.FAKESTORE_PROFILE ||
+    files.reduce((name, { data }) => data.profile ?? name, null);
+  if (profile && !creatingProfile && !files.some(({ data }) => data.profiles?.[profile])) {
+    errors.push(t('config.profileNotFound', { profile }));
+  }
+
+  // Cada capa es una lista de [clave, valor, origen]; el origen es un mensaje del catálogo sin traducir
+  const layers = [];
+  for (const { file, data } of files) {
+    for (const [key, value] of Object.entries(data)) {
+      if (key === 'profile' || key === 'profiles') continue;
+      if (!(key in CONFIG_KEYS)) {
+        errors.push(t('config.unknownKeyInFile', { key, file }));
+        continue;
+      }
+      layers.push([key, value, ['config.sourceFile', { file }]]);
+    }
+  }
+  for (const { file, data } of files) {
+    for (const [key, value] of Object.entries(data.profiles?.[profile] ?? {})) {
+      if (key in CONFIG_KEYS) layers.push([key, value, ['config.sourceProfile', { file, profile }]]);
+    }
+  }
+  for (const [key, definition] of Object.entries(CONFIG_KEYS)) {
+    if (definition.env && process.env[definition.env] !== undefined) {
+      layers.push([key, process.env[definition.env], ['config.sourceEnv', { name: definition.env }]]);
+    }
+  }
+  for (const [key, definition] of Object.entries(CONFIG_KEYS)) {
+    if (definition.flag && options[definition.flag] !== undefined) {
+      layers.push([key, options[definition.flag], ['config.sourceFlag', { name: definition.flag }]]);
+    }
+  }
+
+  const values = {};
+  const sources = {};
+  for (const [key, definition] of Object.entries(CONFIG_KEYS)) {
+    values[key] = definition.default;
+    sources[key] = ['config.sourceDefault', {}];
+  }
+  for (const [key, raw, source] of layers) {
+    const { value, error } = parseConfigValue(key, raw);
+    if (error) {
+      errors.push(t('config.invalidValue', { key, source: t(...source), error }));
+      continue;
+    }
+    values[key] = value;
+    sources[key] = source;
+  }
+  return { values, sources, profile: profile || null, errors };
+}
+
+/**
+ * Aplica la configuración resuelta a las opciones de conexión, caché, salida y valores por defecto.
+ */
+function applyConfig(values) {
+  const { baseUrl, timeout, retries, retryDelay, concurrency, rateLimit, verbose, strict } = values;
+  Object.assign(requestOptions, { baseUrl, timeout, retries, retryDelay, concurrency, rateLimit, verbose, strict });
+  client = createClient();
+  cacheOptions.ttl = values.cacheTtl;
+  outputOptions.format = values.format;
+  setLocale(values.lang);
+}
+
+// ---------------------------------------------------------------------------------------------
+// Consultas sobre GET products: filtros, orden y paginación (ej: --category, --sort price --desc).
+// ---------------------------------------------------------------------------------------------
+
+// Opciones de consulta; solo se aceptan en las rutas que las declaran con 'query' en ROUTES
+const QUERY_OPTIONS = ['category', 'min-price', 'max-price', 'min-rating', 'search', 'sort', 'desc', 'limit', 'offset'];
+
+// Campos por los que se puede ordenar con --sort, y cómo se obtiene el valor de cada producto
+const PRODUCT_SORT_FIELDS = {
+  id: (product) => product.id,
+  price: (product) => product.price,
+  rating: (product) => product.rating?.rate ?? 0,
+  title: (product) => product.title ?? '',
+};
+
+/**
+ * Valida las opciones de consulta y las convierte a sus tipos (números, booleanos).
+ * @param {object} options - Las opciones recibidas por línea de comandos.
+ * @returns {{ query: object, error: string|null }}
+ */
+function parseProductQuery(options) {
+  const query = {
+    category: options.category,
+    search: options.search?.toLowerCase(),
+    sort: options.sort,
+    desc: Boolean(options.desc),
+    offset: 0,
   };
 
-  // Si hay un cuerpo (body) y el método es POST o PUT, configúrar
-  if (body && (method === 'POST' || method === 'PUT')) {
-    // Establece el tipo de contenido como JSON
-    options.headers['Content-Type'] = 'application/json';
-    // Convierte el objeto body a una cadena JSON
-    options.body = JSON.stringify(body);
+  // Precios y rating mínimos/máximos: deben ser números válidos (ej: '12abc' no se lee como 12)
+  const numericOptions = { 'min-price': 'minPrice', 'max-price': 'maxPrice', 'min-rating': 'minRating' };
+  for (const [option, key] of Object.entries(numericOptions)) {
+    if (options[option] !== undefined) {
+      const value = parseDecimal(options[option]);
+      if (isNaN(value)) {
+        return { query, error: t('query.mustBeNumber', { option }) };
+      }
+      query[key] = value;
+    }
+  }
+  // --limit y --offset: enteros no negativos
+  for (const option of ['limit', 'offset']) {
+    if (options[option] !== undefined) {
+      if (!isNumericId(options[option])) {
+        return { query, error: t('query.mustBeNonNegativeInteger', { option }) };
+      }
+      query[option] = parseInt(options[option]);
+    }
+  }
+  if (query.sort && !(query.sort in PRODUCT_SORT_FIELDS)) {
+    return { query, error: t('query.invalidSort', { sort: query.sort, values: Object.keys(PRODUCT_SORT_FIELDS).join(', ') }) };
+  }
+  // --desc sin --sort ordena por ID de mayor a menor, igual que '?sort=desc' en la API
+  if (query.desc && !query.sort) {
+    query.sort = 'id';
+  }
+  return { query, error: null };
+}
+
+/**
+ * Indica si la consulta necesita filtrar u ordenar localmente (FakeStoreAPI solo admite ?limit= y ?sort= por ID).
+ */
+function needsLocalQuery(query) {
+  return (
+    query.minPrice !== undefined ||
+    query.maxPrice !== undefined ||
+    query.minRating !== undefined ||
+    query.search !== undefined ||
+    (query.sort !== undefined && query.sort !== 'id')
+  );
+}
+
+/**
+ * Aplica los filtros, el orden y la paginación a una lista de productos.
+ * @param {object[]} products - Los productos devueltos por la API.
+ * @param {object} query - La consulta ya validada por parseProductQuery.
+ * @returns {{ matched: number, items: object[] }} - Cuántos productos cumplen los filtros y la página pedida.
+ */
+function applyProductQuery(products, query) {
+  const filtered = products.filter((product) => {
+    if (query.category !== undefined && product.category !== query.category) return false;
+    if (query.minPrice !== undefined && !(product.price >= query.minPrice)) return false;
+    if (query.maxPrice !== undefined && !(product.price <= query.maxPrice)) return false;
+    if (query.minRating !== undefined && !((product.rating?.rate ?? 0) >= query.minRating)) return false;
+    if (query.search !== undefined) {
+      // La búsqueda no distingue mayúsculas y mira el título y la descripción
+      const text = `${product.title ?? ''} ${product.description ?? ''}`.toLowerCase();
+      if (!text.includes(query.search)) return false;
+    }
+    return true;
+  });
+
+  if (query.sort) {
+    const getValue = PRODUCT_SORT_FIELDS[query.sort];
+    const direction = query.desc ? -1 : 1;
+    filtered.sort((a, b) => {
+      const valueA = getValue(a);
+      const valueB = getValue(b);
+      const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+      return order * direction;
+    });
+  }
+
+  const end = query.limit === undefined ? undefined : query.offset + query.limit;
+  return { matched: filtered.length, items: filtered.slice(query.offset, end) };
+}
+
+// ---------------------------------------------------------------------------------------------
+// Handlers: cada uno ejecuta un comando sobre una ruta ya reconocida.
+// Reciben un contexto con el recurso, el endpoint ya armado, los parámetros de la ruta y los args.
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Extrae uno o más paths de la respuesta (ej: title price rating.rate).
+ * En las listas, cada path se extrae de cada elemento; los paths que empiezan con '[' (ej: [0].title)
+ * se leen de la lista completa.
+ * @param {*} data - La respuesta: un objeto o una lista de objetos.
+ * @param {string[]} paths - Los paths a extraer (admiten puntos y corchetes, ej: 'products[0].quantity').
+ * @param {string} description - Qué se consultó, para los mensajes de error (ej: 'el producto 3').
+ * @returns {object|object[]} - Un objeto { path: valor } por cada elemento (o uno solo).
+ * @throws {UsageError} - Si algún path no existe en ningún elemento, o si se combinan los dos tipos de path.
+ */
+function extractFields(data, paths, description) {
+  const fromWholeList = paths.filter((path) => path.startsWith('['));
+  if (fromWholeList.length > 0 && fromWholeList.length < paths.length) {
+    throw new UsageError(t('extract.mixedPaths', { paths: fromWholeList.join(', ') }));
+  }
+  const perItem = Array.isArray(data) && fromWholeList.length === 0;
+  const items = perItem ? data : [data];
+
+  const missing = paths.filter((path) => items.every((item) => getPath(item, path) === undefined));
+  if (missing.length > 0 && items.length > 0) {
+    const available = [...new Set(items.flatMap((item) => (item && typeof item === 'object' ? Object.keys(item) : [])))];
+    const fields = missing.map((path) => `'${path}'`).join(', ');
+    const key = missing.length === 1 ? 'extract.missingField' : 'extract.missingFields';
+    throw new UsageError(t(key, { fields, description, available: available.join(', ') }));
+  }
+  // En las listas, un elemento sin el campo lo muestra como null
+  const extract = (item) => Object.fromEntries(paths.map((path) => [path, getPath(item, path) ?? null]));
+  return perItem ? data.map(extract) : extract(data);
+}
+
+/**
+ * Obtiene una lista de elementos (ej: GET products, GET carts/user/2), opcionalmente extrayendo campos de cada uno.
+ */
+async function listItems({ resource, endpoint, args }) {
+  const result = await apiRequest(endpoint, 'GET');
+  if (args.length > 0) {
+    const extracted = extractFields(result, args, t('extract.listDescription', { plural: resource.plural }));
+    printResult(t('list.fieldsLabel', { plural: resource.plural }), extracted);
+    return extracted;
+  }
+  printResult(t('list.label', { Plural: capitalize(resource.plural) }), result);
+  return result;
+}
+
+/**
+ * Obtiene una lista de productos aplicando las opciones de consulta (ej: GET products --sort price --limit 5).
+ * Usa ?limit= y ?sort= de la API cuando alcanza con eso; si no, trae todos y filtra localmente.
+ */
+async function listProducts({ resource, endpoint, params, args, options }) {
+  const { query, error } = parseProductQuery(options);
+  if (error) {
+    throw new UsageError(error);
+  }
+
+  // Si se pidió --category sobre 'products', se usa la ruta de categorías de la API
+  let requestEndpoint = endpoint;
+  if (query.category !== undefined && params.name === undefined) {
+    requestEndpoint = `${endpoint}/category/${encodeURIComponent(query.category)}`;
+  }
+
+  // Cuando no hay filtros locales, el límite y el orden por ID los resuelve el servidor
+  const serverSide = !needsLocalQuery(query);
+  const searchParams = new URLSearchParams();
+  if (serverSide && query.limit !== undefined) {
+    // La API no tiene offset, así que se piden también los productos que se van a saltear
+    searchParams.set('limit', query.offset + query.limit);
+  }
+  if (serverSide && query.desc) {
+    searchParams.set('sort', 'desc');
+  }
+  const queryString = searchParams.toString();
+  const products = await apiRequest(queryString ? `${requestEndpoint}?${queryString}` : requestEndpoint, 'GET');
+
+  if (!Array.isArray(products)) {
+    // Si la API no devolvió una lista, se muestra tal cual
+    printResult(t('list.label', { Plural: capitalize(resource.plural) }), products);
+    return products;
+  }
+  // El filtrado y el orden se aplican siempre localmente; si el servidor ya los resolvió, no cambian nada
+  const { matched, items } = applyProductQuery(products, query);
+  // Los campos pedidos (ej: GET products title price) se extraen de cada producto, después de filtrar y ordenar
+  const output = args.length > 0 ? extractFields(items, args, t('extract.listDescription', { plural: resource.plural })) : items;
+  const label = args.length > 0
+    ? t('list.fieldsLabel', { plural: resource.plural })
+    : t('list.label', { Plural: capitalize(resource.plural) });
+  printResult(label, output);
+
+  if (serverSide && query.limit !== undefined && products.length === query.offset + query.limit) {
+    // Con ?limit= la API no informa el total del catálogo: se sabe cuántos coinciden como mínimo, pero no de cuántos
+    // (si devolvió menos de los pedidos, ya no quedan más y el total es conocido)
+    printInfo(t('query.matchedWithLimit', { matched, shown: items.length }));
+  } else if (requestEndpoint.includes('/category/')) {
+    // La API devolvió solo esa categoría, así que el total es el de la categoría y no el del catálogo
+    const category = query.category ?? params.name;
+    printInfo(t('query.matchedInCategory', { matched, total: products.length, category, shown: items.length }));
+  } else {
+    printInfo(t('query.matched', { matched, total: products.length, shown: items.length }));
+  }
+  return output;
+}
+
+/**
+ * Obtiene la lista de categorías de productos (GET products/categories).
+ */
+async function listCategories({ endpoint }) {
+  const result = await apiRequest(endpoint, 'GET');
+  printResult(t('categories.label'), result);
+  return result;
+}
+
+/**
+ * Obtiene un elemento por su ID, opcionalmente mostrando solo algunos campos (ej: GET products/20 image, GET products/1 title rating.rate).
+ */
+async function getItem({ resource, collection, params, path, args }) {
+  // get lanza NotFoundError también cuando la API real responde 200 sin cuerpo (el servidor local responde 404)
+  const data = await collection.get(params.id);
+
+  // Si se proporcionaron argumentos adicionales (los campos o paths a extraer, ej: title rating.rate)
+  if (args.length > 0) {
+    if (data && typeof data === 'object') {
+      // Verifica que el elemento tenga esos campos y los extrae como { path: valor }
+      const extracted = extractFields(data, args, t('extract.itemDescription', { singular: resource.singular, id: params.id }));
+      // Un solo campo se muestra con su nombre; en los formatos para máquinas (y con --raw) pasa por printResult
+      if (args.length === 1 && outputOptions.format === 'pretty' && !outputOptions.raw) {
+        console.log(t('item.fieldLabel', { field: args[0], singular: resource.singular, id: params.id }), extracted[args[0]]);
+      } else {
+        printResult(t('item.fieldsLabel', { singular: resource.singular, id: params.id }), extracted);
+      }
+      return args.length === 1 ? extracted[args[0]] : extracted;
+    } else {
+      // Si data no es un objeto (podría ser un mensaje de error de la API, si el elemento no se encontró)
+      printResult(t('item.unexpectedResponse', { path, singular: resource.singular }), data);
+    }
+  } else {
+    // Si no se especificó un campo, muestra el elemento completo
+    printResult(t('item.label', { Singular: capitalize(resource.singular) }), data);
+  }
+  return data;
+}
+
+/**
+ * Crea un elemento nuevo a partir de los argumentos posicionales (POST).
+ */
+async function createItem({ resource, endpoint, path, args }) {
+  // Verifica que se proporcionen los argumentos mínimos para crear el elemento
+  if (args.length < resource.minArgs) {
+    throw new UsageError(t('item.usage', { method: 'POST', path, usage: resource.usage, example: resource.example })); // Termina si faltan argumentos
+  }
+  const { body, error } = buildRequestBody(resource, args);
+  if (error) {
+    throw error;
+  }
+
+  // Realiza la petición POST e imprime el resultado de la creación
+  const result = await apiRequest(endpoint, 'POST', body);
+  printResult(t('item.created', { Singular: capitalize(resource.singular) }), result);
+  return result;
+}
+
+/**
+ * Reemplaza un elemento completo (PUT) y muestra las diferencias.
+ */
+async function replaceItem({ resource, collection, params, path, args }) {
+  // Mismas validaciones de argumentos que en POST
+  if (args.length < resource.minArgs) {
+    throw new UsageError(t('item.usage', { method: 'PUT', path, usage: resource.usage, example: resource.example }));
+  }
+  const { body, error } = buildRequestBody(resource, args);
+  if (error) {
+    throw error;
+  }
+
+  // Se obtiene el elemento actual para poder mostrar las diferencias (si no existe, get lanza NotFoundError y no se envía nada)
+  const before = await collection.get(params.id);
+  const result = await collection.update(params.id, body);
+  printResult(t('item.replaced', { Singular: capitalize(resource.singular), id: params.id }), result);
+  printDiff(before, result, resource.fields);
+  return result;
+}
+
+/**
+ * Modifica solo los campos indicados como campo=valor (PATCH) y muestra las diferencias.
+ */
+async function patchItem({ resource, collection, params, path, args }) {
+  if (args.length === 0) {
+    throw new UsageError(t('item.patchUsage', { path, fields: resource.fields.join(', ') }));
+  }
+  const { changes, error } = parseFieldAssignments(args, resource);
+  if (error) {
+    throw error;
+  }
+
+  const before = await collection.get(params.id);
+  const result = await collection.patch(params.id, changes);
+  printResult(t('item.patched', { Singular: capitalize(resource.singular), id: params.id }), result);
+  // La API puede devolver solo los campos enviados, así que se combinan con el elemento original
+  printDiff(before, { ...before, ...result }, resource.fields);
+  return result;
+}
+
+/**
+ * Elimina un elemento por su ID (DELETE).
+ */
+async function deleteItem({ resource, endpoint, params }) {
+  // El endpoint ya incluye el ID (ej: /products/7)
+  const result = await apiRequest(endpoint, 'DELETE');
+  // Nota: FakeStoreAPI, en realidad, no borra el item, solo simula la respuesta.
+  printResult(t('item.deleted', { Singular: capitalize(resource.singular), id: params.id }), result);
+  return result;
+}
+
+/**
+ * Registro de rutas: cada ruta asocia un patrón de path con su recurso y los handlers por método.
+ * Los segmentos que empiezan con ':' son parámetros; ':id' y ':userId' deben ser numéricos.
+ * 'query' indica con qué método la ruta acepta las opciones de consulta (--sort, --limit, etc.).
+ * El orden importa: las rutas literales (ej: products/categories) van antes que las que tienen parámetros.
+ */
+const ROUTES = [
+  { path: 'products', resource: 'products', handlers: { GET: listProducts, POST: createItem }, query: 'GET' },
+  { path: 'products/categories', resource: 'products', handlers: { GET: listCategories } },
+  { path: 'products/category/:name', resource: 'products', handlers: { GET: listProducts }, query: 'GET' },
+  { path: 'products/:id', resource: 'products', handlers: { GET: getItem, PUT: replaceItem, PATCH: patchItem, DELETE: deleteItem } },
+  { path: 'carts', resource: 'carts', handlers: { GET: listItems, POST: createItem } },
+  { path: 'carts/user/:userId', resource: 'carts', handlers: { GET: listItems } },
+  { path: 'carts/:id', resource: 'carts', handlers: { GET: getItem, PUT: replaceItem, PATCH: patchItem, DELETE: deleteItem } },
+  { path: 'users', resource: 'users', handlers: { GET: listItems, POST: createItem } },
+  { path: 'users/:id', resource: 'users', handlers: { GET: getItem, PUT: replaceItem, PATCH: patchItem, DELETE: deleteItem } },
+];
+
+// Parámetros de ruta que deben ser IDs numéricos
+const NUMERIC_PARAMS = ['id', 'userId'];
+
+/**
+ * Busca la ruta registrada que corresponde a un path (ej: 'carts/user/2').
+ * @param {string} path - El path recibido por línea de comandos.
+ * @returns {{ route: object, params: object }|null} - La ruta y sus parámetros, o null si ninguna coincide.
+ */
+function matchRoute(path) {
+  const segments = path.split('/');
+  for (const route of ROUTES) {
+    const routeSegments = route.path.split('/');
+    if (routeSegments.length !== segments.length) continue;
+
+    const params = {};
+    const matches = routeSegments.every((routeSegment, index) => {
+      if (routeSegment.startsWith(':')) {
+        params[routeSegment.slice(1)] = segments[index];
+        return true;
+      }
+      return routeSegment === segments[index];
+    });
+    if (matches) {
+      return { route, params };
+    }
+  }
+  return null;
+}
+
+/**
+ * Muestra un path de ROUTES en el formato de la ayuda (ej: 'products/:id' -> 'products/<id>').
+ */
+function displayRoute(routePath) {
+  return routePath.replace(/:(\w+)/g, '<$1>');
+}
+
+// ---------------------------------------------------------------------------------------------
+// Comandos de sesión, caché, servidor y configuración: no siguen la forma <METHOD> <path>, así que se atienden antes que las rutas.
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Inicia sesión con POST /auth/login y guarda el token devuelto (login <username> <password>).
+ */
+async function login(args) {
+  const [username, password] = args;
+  if (!username || !password) {
+    throw new UsageError(t('login.usage'));
+  }
+  const result = await apiRequest('/auth/login', 'POST', { username, password });
+  if (!result?.token) {
+    throw new Error(t('login.noToken', { response: JSON.stringify(result) }));
+  }
+  await saveCredentials({ token: result.token, username, loggedInAt: new Date().toISOString() });
+  printInfo(t('login.success', { username, file: CREDENTIALS_FILE }));
+}
+
+/**
+ * Cierra la sesión borrando el token guardado (logout).
+ */
+async function logout() {
+  const hadSession = await clearCredentials();
+  printInfo(t(hadSession ? 'logout.success' : 'logout.noSession'));
+}
+
+/**
+ * Muestra el usuario de la sesión actual (whoami).
+ */
+async function whoami() {
+  const credentials = await loadCredentials();
+  if (!credentials?.token) {
+    printInfo(t('whoami.noSession'));
+    return;
+  }
+  // El token de FakeStoreAPI es un JWT que incluye el ID del usuario en 'sub'
+  const payload = decodeTokenPayload(credentials.token);
+  if (outputOptions.format !== 'pretty') {
+    printResult(null, { username: credentials.username, userId: payload?.sub ?? null, loggedInAt: credentials.loggedInAt });
+    return;
+  }
+  console.log(t('whoami.username'), credentials.username);
+  if (payload?.sub !== undefined) {
+    console.log(t('whoami.userId'), payload.sub);
+  }
+  console.log(t('whoami.loggedInAt'), credentials.loggedInAt);
+}
+
+/**
+ * Administra la caché de respuestas (cache clear | cache stats).
+ */
+async function cache(args) {
+  const [action] = args;
+  if (action === 'clear') {
+    const count = Object.keys(await loadCache()).length;
+    cacheEntries = {};
+    try {
+      await unlink(CACHE_FILE);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    printInfo(t('cache.cleared', { count }));
+  } else if (action === 'stats') {
+    const entries = Object.values(await loadCache());
+    const storedAt = entries.map((entry) => entry.storedAt);
+    const fresh = entries.filter(isFresh).length;
+    printResult(t('cache.statsLabel'), {
+      file: CACHE_FILE,
+      entries: entries.length,
+      fresh,
+      expired: entries.length - fresh,
+      ttlSeconds: cacheOptions.ttl,
+      sizeBytes: Buffer.byteLength(JSON.stringify(cacheEntries)),
+      oldest: storedAt.length ? new Date(Math.min(...storedAt)).toISOString() : null,
+      newest: storedAt.length ? new Date(Math.max(...storedAt)).toISOString() : null,
+    });
+  } else {
+    throw new UsageError(t('cache.usage'));
+  }
+}
+
+/**
+ * Inicia un servidor local compatible con FakeStoreAPI (serve [--port 3000] [--data fixtures.json]).
+ * Los datos se guardan en memoria y, si se indica --data, también en ese archivo.
+ */
+async function serve(args, options) {
+  const port = options.port ?? '3000';
+  if (!isNumericId(port) || parseInt(port) > 65535) {
+    throw new UsageError(t('serve.invalidPort'));
+  }
+  let server;
+  try {
+    server = await startServer({ port: parseInt(port), dataFile: options.data });
+  } catch (error) {
+    // Los errores de listen (ej: EADDRINUSE si el puerto está ocupado, EACCES) salen con el código de error de red
+    if (error.syscall === 'listen') {
+      const message = error.code === 'EADDRINUSE' ? t('serve.portInUse', { port }) : t('serve.listenFailed', { port, message: error.message });
+      throw new NetworkError(message, { code: error.code, url: `http://localhost:${port}`, cause: error });
+    }
+    // El resto viene de leer el archivo de datos (no existe o no es un JSON válido)
+    if (options.data) {
+      throw new Error(t('serve.invalidData', { file: options.data, message: error.message }), { cause: error });
+    }
+    throw error;
+  }
+  const baseUrl = `http://localhost:${server.address().port}`;
+  console.log(options.data ? t('serve.listeningWithData', { url: baseUrl, file: options.data }) : t('serve.listening', { url: baseUrl }));
+  console.log(t('serve.hint', { url: baseUrl }));
+}
+
+/**
+ * Muestra o modifica la configuración (config list | config get <key> | config set <key> <value>).
+ * 'config set' escribe en ~/.fakestorerc, o en ./.fakestorerc.json con --project; con --profile escribe en ese perfil.
+ */
+async function config(args, options) {
+  const [action, key, value] = args;
+  const { values, sources, profile } = activeConfig;
+
+  if (action === 'list') {
+    const rows = Object.keys(CONFIG_KEYS).map((name) => ({ key: name, value: values[name], source: t(...sources[name]) }));
+    if (outputOptions.format === 'pretty') {
+      console.log(profile ? t('config.listTitleWithProfile', { profile }) : t('config.listTitle'));
+      for (const row of rows) {
+        console.log(`  ${row.key} = ${JSON.stringify(row.value)}  (${row.source})`);
+      }
+    } else {
+      printResult(null, rows);
+    }
+  } else if (action === 'get') {
+    if (!(key in CONFIG_KEYS)) {
+      throw new UsageError(t('config.unknownKey', { key: key ?? '', keys: Object.keys(CONFIG_KEYS).join(', ') }));
+    }
+    if (outputOptions.format === 'pretty') {
+      console.log(`${key} = ${JSON.stringify(values[key])}  (${t(...sources[key])})`);
+    } else {
+      printResult(null, { key, value: values[key], source: t(...sources[key]) });
+    }
+  } else if (action === 'set') {
+    // 'profile' elige el perfil por defecto; el resto de las claves se valida según su tipo
+    if (key !== 'profile' && !(key in CONFIG_KEYS)) {
+      throw new UsageError(t('config.unknownKey', { key: key ?? '', keys: ['profile', ...Object.keys(CONFIG_KEYS)].join(', ') }));
+    }
+    if (value === undefined) {
+      throw new UsageError(t('config.setUsage'));
+    }
+    const parsed = key === 'profile' ? { value } : parseConfigValue(key, value);
+    if (parsed.error) {
+      throw new UsageError(t('config.invalidSetValue', { key, error: parsed.error }));
+    }
+
+    const file = options.project ? PROJECT_CONFIG_FILE : USER_CONFIG_FILE;
+    const data = await readConfigFile(file);
+    if (options.profile && key !== 'profile') {
+      data.profiles = data.profiles ?? {};
+      data.profiles[options.profile] = { ...data.profiles[options.profile], [key]: parsed.value };
+    } else {
+      data[key] = parsed.value;
+    }
+    await writeFile(file, JSON.stringify(data, null, 2) + '\n');
+    const saved = { key, value: JSON.stringify(parsed.value), file, profile: options.profile };
+    printInfo(options.profile && key !== 'profile' ? t('config.savedInProfile', saved) : t('config.saved', saved));
+  } else {
+    throw new UsageError(t('config.usage'));
+  }
+}
+
+// ---------------------------------------------------------------------------------------------
+// Modo interactivo ('shell'): acepta los mismos comandos que la línea de comandos, con autocompletado,
+// historial persistente y variables de sesión ($last es el resultado del comando anterior).
+// ---------------------------------------------------------------------------------------------
+
+// Archivo del historial del modo 'shell' (se puede cambiar con FAKESTORE_HISTORY) y cuántas líneas se conservan
+const HISTORY_FILE = process.env.FAKESTORE_HISTORY || join(homedir(), '.fakestore_history');
+const HISTORY_SIZE = 500;
+
+// Métodos HTTP que acepta la CLI
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Comandos propios del modo shell
+const SHELL_COMMANDS = ['help', 'vars', 'set', 'exit', 'quit'];
+
+/**
+ * Obtiene el valor de una variable de sesión, con un path opcional (ej: 'last' y '.rating.rate' o '[0].id').
+ * @returns {{ value?: *, error?: string }}
+ */
+function resolveVariable(variables, name, path) {
+  if (!(name in variables)) {
+    return { error: t('shell.undefinedVariable', { name }) };
+  }
+  const value = path ? getPath(variables[name], path) : variables[name];
+  if (value === undefined) {
+    return { error: t('shell.missingVariableField', { variable: `$${name}${path}` }) };
+  }
+  // Los objetos se reemplazan por su JSON; los textos y números, tal cual
+  return { value: typeof value === 'object' ? JSON.stringify(value) : String(value) };
+}
+
+/**
+ * Indica si en la posición indicada empieza una referencia a variable (un '$' seguido de un nombre).
+ */
+function isVariableStart(line, index) {
+  return line[index] === '$' && /[A-Za-z_]/.test(line[index + 1] ?? '');
+}
+
+/**
+ * Reemplaza la referencia a variable que empieza en la posición indicada (ej: '$last[0].title').
+ * @returns {{ value?: string, length: number, error?: string }} - El valor y cuántos caracteres ocupaba la referencia.
+ */
+function expandVariable(line, index, variables) {
+  const [reference, name, path] = line.slice(index).match(/^\$([A-Za-z_]\w*)((?:\.\w+|\[\d+\])*)/);
+  return { ...resolveVariable(variables, name, path), length: reference.length };
+}
+
+/**
+ * Divide una línea del shell en argumentos, como lo haría la terminal: respeta comillas simples y dobles,
+ * '\' escapa el carácter siguiente, y reemplaza las variables ($last, $last.id, $last[0].title) fuera de comillas simples.
+ * @param {string} line - La línea ingresada.
+ * @param {object} variables - Las variables de sesión.
+ * @returns {{ tokens: string[], error: string|null }}
+ */
+export function splitCommandLine(line, variables) {
+  const tokens = [];
+  let current = '';
+  let hasToken = false; // Para no perder los argumentos vacíos entre comillas (ej: "")
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\' && quote !== "'" && i + 1 < line.length) {
+      current += line[++i];
+      hasToken = true;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '$' && quote === '"' && isVariableStart(line, i)) {
+        const { value, length, error } = expandVariable(line, i, variables);
+        if (error) return { tokens, error };
+        current += value;
+        i += length - 1;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        tokens.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else if (char === '$' && isVariableStart(line, i)) {
+      const { value, length, error } = expandVariable(line, i, variables);
+      if (error) return { tokens, error };
+      current += value;
+      hasToken = true;
+      i += length - 1;
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+  if (quote) {
+    return { tokens, error: t('shell.unclosedQuote', { quote }) };
+  }
+  if (hasToken) {
+    tokens.push(current);
+  }
+  return { tokens, error: null };
+}
+
+/**
+ * Obtiene una lista de la API para el autocompletado, guardándola para no pedirla de nuevo.
+ * Si la petición falla (ej: sin conexión), devuelve una lista vacía.
+ */
+async function fetchCompletionList(state, endpoint) {
+  if (!(endpoint in state.completionData)) {
+    try {
+      const data = await apiRequest(endpoint, 'GET');
+      state.completionData[endpoint] = Array.isArray(data) ? data : data && typeof data === 'object' ? [data] : [];
+    } catch {
+      state.completionData[endpoint] = [];
+    }
+  }
+  return state.completionData[endpoint];
+}
+
+/**
+ * Calcula las opciones de autocompletado para el argumento que se está escribiendo.
+ * @returns {Promise<string[]>} - Los candidatos (sin filtrar por lo ya escrito).
+ */
+async function completionCandidates(tokens, state) {
+  const current = tokens[tokens.length - 1];
+  const index = tokens.length - 1;
+  const first = tokens[0].toUpperCase();
+
+  if (current.startsWith('--')) {
+    return Object.keys(CLI_OPTIONS).map((name) => `--${name}`);
+  }
+  if (index === 0) {
+    return [...HTTP_METHODS, ...Object.keys(COMMANDS).filter((name) => name !== 'shell'), ...SHELL_COMMANDS];
+  }
+  if (first === 'CACHE' && index === 1) {
+    return ['clear', 'stats'];
+  }
+  if (first === 'CART') {
+    if (index === 1) return ['show', 'add', 'remove'];
+    if (index === 2) return (await fetchCompletionList(state, '/carts')).map((item) => String(item.id));
+    if (index === 3 && tokens[1] !== 'show') return (await fetchCompletionList(state, '/products')).map((item) => String(item.id));
+    return [];
+  }
+  if (first === 'CONFIG') {
+    if (index === 1) return ['list', 'get', 'set'];
+    if (index === 2) return Object.keys(CONFIG_KEYS);
+    return [];
+  }
+  if (!HTTP_METHODS.includes(first)) {
+    return [];
+  }
+
+  if (index === 1) {
+    // Paths de las rutas registradas; los parámetros se completan con datos de la API
+    const candidates = ROUTES.map((route) => route.path.replace(/:\w+$/, '')).filter((path) => !path.includes(':'));
+    const idMatch = current.match(/^(products|carts|users)\/\d*$/);
+    if (idMatch) {
+      const items = await fetchCompletionList(state, `/${idMatch[1]}`);
+      candidates.push(...items.map((item) => `${idMatch[1]}/${item.id}`));
+    } else if (current.startsWith('products/category/')) {
+      const categories = await fetchCompletionList(state, '/products/categories');
+      // Los espacios y comillas se escapan con '\', para que splitCommandLine los mantenga en un solo argumento
+      candidates.push(...categories.map((category) => `products/category/${category.replace(/([\s'"\\$])/g, '\\$1')}`));
+    } else if (current.startsWith('carts/user/')) {
+      const users = await fetchCompletionList(state, '/users');
+      candidates.push(...users.map((user) => `carts/user/${user.id}`));
+    }
+    return candidates;
+  }
+
+  const match = matchRoute(tokens[1]);
+  if (!match || !('id' in match.params)) {
+    return [];
+  }
+  const resource = RESOURCES[match.route.resource];
+  if (first === 'PATCH') {
+    return resource.fields.map((field) => `${field}=`);
+  }
+  if (first === 'GET' && index === 2) {
+    // Los mismos campos que muestra 'Campos disponibles' al pedir un campo que no existe
+    const [item] = await fetchCompletionList(state, `/${tokens[1]}`);
+    return item ? Object.keys(item) : ['id', ...resource.fields];
+  }
+  return [];
+}
+
+/**
+ * Indica si una línea del shell no se debe guardar en el historial: 'login' incluye la contraseña.
+ */
+function isPrivateLine(line) {
+  return /^login(\s|$)/i.test(line);
+}
+
+/**
+ * Agrega una línea al historial, con permisos solo para el dueño (igual que el archivo de credenciales).
+ */
+async function appendHistory(line) {
+  if (isPrivateLine(line)) {
+    return;
+  }
+  await appendFile(HISTORY_FILE, line + '\n', { mode: 0o600 });
+}
+
+/**
+ * Lee el historial guardado (las últimas HISTORY_SIZE líneas), en el orden que espera readline (la más reciente primero).
+ */
+async function loadHistory() {
+  try {
+    const lines = (await readFile(HISTORY_FILE, 'utf8')).split('\n').filter(Boolean);
+    // Las líneas de 'login' que hayan quedado de versiones anteriores se borran
+    const recent = lines.filter((line) => !isPrivateLine(line.trim())).slice(-HISTORY_SIZE);
+    // Si el archivo creció demasiado (o tenía contraseñas), se reescribe
+    if (recent.length < lines.length) {
+      await writeFile(HISTORY_FILE, recent.join('\n') + '\n');
+    }
+    // 'mode' solo se aplica al crear el archivo, así que se fuerza también si ya existía
+    await chmod(HISTORY_FILE, 0o600);
+    return recent.reverse();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(t('shell.historyReadFailed', { file: HISTORY_FILE }), error.message);
+    }
+    return [];
+  }
+}
+
+/**
+ * Convierte las opciones de línea de comandos de nuevo en argumentos (ej: { format: 'json' } -> ['--format=json']).
+ * Las opciones con las que se inició 'shell' se agregan a cada línea, que puede reemplazarlas con las suyas.
+ */
+function optionsToArgs(options) {
+  return Object.entries(options).map(([name, value]) => (value === true ? `--${name}` : `--${name}=${value}`));
+}
+
+/**
+ * Inicia el modo interactivo (shell). Cada línea se ejecuta como un comando de la CLI.
+ */
+async function shell(args, options) {
+  if (args.length > 0) {
+    throw new UsageError(t('shell.noArguments'));
+  }
+  const state = { variables: {}, completionData: {} };
+  const baseArgs = optionsToArgs(options);
+
+  const rl = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: 'fakestore> ',
+    terminal: Boolean(process.stdin.isTTY),
+    history: await loadHistory(),
+    historySize: HISTORY_SIZE,
+    completer: (line, callback) => {
+      const tokens = line.split(/\s+/).filter((token, index) => token || index > 0);
+      const current = tokens.length ? tokens[tokens.length - 1] : '';
+      completionCandidates(tokens.length ? tokens : [''], state)
+        .then((candidates) => callback(null, [candidates.filter((candidate) => candidate.startsWith(current)), current]))
+        .catch(() => callback(null, [[], current]));
+    },
+  });
+
+  console.log(t('shell.banner'));
+  rl.prompt();
+  for await (const line of rl) {
+    const trimmed = line.trim();
+    if (trimmed) {
+      await appendHistory(trimmed).catch(() => {});
+      const { tokens, error } = splitCommandLine(trimmed, state.variables);
+      const [first = '', ...rest] = tokens;
+
+      if (error) {
+        console.error(error);
+      } else if (first === 'exit' || first === 'quit') {
+        break;
+      } else if (first === 'help') {
+        // La ayuda se muestra con las opciones del shell (ej: --lang)
+        await runCommand(baseArgs);
+        console.log(t('shell.helpCommands'));
+        console.log(t('shell.helpVariables'));
+      } else if (first === 'vars') {
+        for (const [name, value] of Object.entries(state.variables)) {
+          console.log(`$${name} =`, value);
+        }
+      } else if (first === 'set') {
+        const [name, ...valueParts] = rest;
+        if (!name || !/^[A-Za-z_]\w*$/.test(name) || valueParts.length === 0) {
+          console.error(t('shell.setUsage'));
+        } else {
+          // Si el valor es JSON válido (ej: 5, {"a":1}) se guarda con su tipo; si no, como texto
+          const text = valueParts.join(' ');
+          try {
+            state.variables[name] = JSON.parse(text);
+          } catch {
+            state.variables[name] = text;
+          }
+        }
+      } else if (first.toLowerCase() === 'shell') {
+        console.error(t('shell.alreadyInShell'));
+      } else {
+        const result = await runCommand([...baseArgs, ...tokens]);
+        if (result !== undefined) {
+          state.variables.last = result;
+        }
+      }
+    }
+    rl.prompt();
+  }
+  rl.close();
+}
+
+// ---------------------------------------------------------------------------------------------
+// Importación masiva de productos desde CSV o JSON (import products <archivo|->).
+// ---------------------------------------------------------------------------------------------
+
+// Columnas que se leen de cada fila, en el orden de los argumentos de POST products
+const IMPORT_COLUMNS = ['title', 'price', 'category', 'description', 'image'];
+
+/**
+ * Parsea un texto CSV (RFC 4180): campos entre comillas con comas, comillas dobles ("") y saltos de línea.
+ * @param {string} text - El contenido del archivo.
+ * @returns {{ line: number, values: string[] }[]} - Las filas no vacías, con la línea del archivo donde empieza cada una.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Se quita el BOM que agregan algunas planillas al exportar
+  const content = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      // Las líneas vacías no cuentan como filas
+      if (row.length > 1 || row[0] !== '') {
+        rows.push({ line: rowLine, values: row });
+      }
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error(t('import.csvUnclosedQuote', { line: rowLine }));
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+  return rows;
+}
+
+/**
+ * Convierte el contenido de un archivo de importación en filas { location, values }.
+ * Los JSON deben ser un array de productos (o un objeto con la clave 'products');
+ * los CSV deben tener una fila de encabezados con las columnas title, price, category, description e image.
+ * @param {string} text - El contenido del archivo.
+ * @param {'csv'|'json'} format - El formato del contenido.
+ * @returns {{ location: string, values: object }[]}
+ */
+function parseImportRows(text, format) {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(items)) {
+      throw new Error(t('import.invalidJson'));
+    }
+    return items.map((item, index) => ({ location: t('import.itemLocation', { index: index + 1 }), values: item ?? {} }));
+  }
+
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const columns = header.values.map((column) => column.trim().toLowerCase());
+  const missing = ['title', 'price', 'category'].filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(t('import.csvMissingColumns', { columns: missing.join(', '), line: header.line }));
+  }
+  return rows.map(({ line, values }) => ({
+    location: t('import.lineLocation', { line }),
+    values: Object.fromEntries(columns.map((column, index) => [column, values[index]])),
+  }));
+}
+
+/**
+ * Lee el archivo a importar, o la entrada estándar si es '-'.
+ * El formato sale de la extensión; para '-' se detecta por el primer carácter ('[' o '{' es JSON).
+ * @returns {Promise<{ text: string, format: 'csv'|'json' }>}
+ */
+async function readImportSource(source) {
+  let text;
+  if (source === '-') {
+    text = '';
+    for await (const chunk of process.stdin) {
+      text += chunk;
+    }
+  } else {
+    text = await readFile(source, 'utf8');
+  }
+  const format = source.toLowerCase().endsWith('.json') || (source === '-' && /^\s*[[{]/.test(text)) ? 'json' : 'csv';
+  return { text, format };
+}
+
+/**
+ * Importa productos desde un archivo CSV o JSON (import products <archivo|-> [--dry-run] [--report reporte.json]).
+ * Cada fila se valida con las mismas reglas que POST products; las inválidas se omiten y se informan con su línea.
+ * Las válidas se crean en paralelo, limitadas por --concurrency.
+ */
+async function importCommand(args, options) {
+  const [resourceName, source] = args;
+  if (resourceName !== 'products' || !source) {
+    throw new UsageError(t('import.usage'));
   }
+  const resource = RESOURCES.products;
 
+  const { text, format } = await readImportSource(source);
+  let rows;
   try {
-    // Realiza la petición fetch a la API
-    const response = await fetch(url, options);
+    rows = parseImportRows(text, format);
+  } catch (error) {
+    throw new Error(t('import.readFailed', { source: source === '-' ? t('import.stdin') : source, message: error.message }));
+  }
+
+  // Valida cada fila convirtiéndola en los argumentos de POST products
+  const results = rows.map(({ location, values }) => {
+    const rowArgs = IMPORT_COLUMNS.map((column) => (values[column] == null ? '' : String(values[column]).trim()));
+    const { body, error } = buildRequestBody(resource, rowArgs);
+    return { location, title: rowArgs[0], body, status: error ? 'skipped' : 'valid', error: error?.message };
+  });
+
+  if (!options['dry-run']) {
+    // Se crean todos los productos válidos a la vez; el cliente respeta --concurrency y --rate-limit
+    await Promise.all(results.filter((result) => result.status === 'valid').map(async (result) => {
+      try {
+        const created = await apiRequest('/products', 'POST', result.body);
+        result.status = 'created';
+        result.id = created?.id;
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+      }
+    }));
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const report = {
+    source,
+    dryRun: Boolean(options['dry-run']),
+    total: results.length,
+    created: count('created'),
+    failed: count('failed'),
+    skipped: count('skipped'),
+    valid: options['dry-run'] ? count('valid') : undefined,
+    rows: results.map(({ location, title, status, id, error }) => ({ location, title, status, id, error })),
+  };
+
+  if (options.report) {
+    await writeFile(options.report, JSON.stringify(report, null, 2) + '\n');
+  }
+
+  if (outputOptions.format === 'pretty') {
+    const sourceName = source === '-' ? t('import.stdin') : source;
+    console.log(t(report.dryRun ? 'import.titleDryRun' : 'import.title', { source: sourceName }));
+    if (report.dryRun) {
+      console.log(t('import.valid', { count: report.valid }));
+    } else {
+      console.log(t('import.created', { count: report.created }));
+      console.log(t('import.failed', { count: report.failed }));
+    }
+    console.log(t('import.skipped', { count: report.skipped }));
+    for (const row of report.rows.filter((item) => item.status === 'skipped' || item.status === 'failed')) {
+      console.log(`  ${row.location}: ${t(row.status === 'skipped' ? 'import.rowSkipped' : 'import.rowFailed')} - ${row.error}`);
+    }
+    if (options.report) {
+      console.log(t('import.reportSaved', { file: options.report }));
+    }
+  } else {
+    printResult(null, report);
+  }
+
+  // Las filas omitidas también cuentan: el archivo no se importó completo (con --dry-run, no se importaría)
+  if (report.failed + report.skipped > 0) {
+    process.exitCode = EXIT_CODES.importIncomplete;
+  }
+  return report;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Snapshots del catálogo: export products --out snapshot.json y diff <viejo.json> <nuevo.json|--live>.
+// ---------------------------------------------------------------------------------------------
+
+// Recursos que se pueden agregar a un snapshot con --include (los productos siempre se incluyen)
+const SNAPSHOT_RESOURCES = ['carts', 'users'];
+
+// Campos de producto que compara diff; rating se compara por sus dos valores
+const DIFF_FIELDS = ['title', 'price', 'description', 'category', 'image', 'rating.rate', 'rating.count'];
+
+/**
+ * Guarda un snapshot del catálogo con la fecha y la URL de origen (export products [--include carts,users] [--out archivo.json]).
+ * Sin --out, el snapshot se muestra por la salida estándar.
+ */
+async function exportCommand(args, options) {
+  const [resourceName] = args;
+  if (resourceName !== 'products') {
+    throw new UsageError(t('export.usage'));
+  }
+  const include = options.include ? options.include.split(',').map((name) => name.trim()).filter(Boolean) : [];
+  const unknown = include.filter((name) => !SNAPSHOT_RESOURCES.includes(name));
+  if (unknown.length > 0) {
+    throw new UsageError(t('export.invalidInclude', { names: unknown.join(', '), values: SNAPSHOT_RESOURCES.join(', ') }));
+  }
+
+  const snapshot = {
+    exportedAt: new Date().toISOString(),
+    baseUrl: requestOptions.baseUrl,
+    products: await apiRequest('/products', 'GET'),
+  };
+  for (const name of include) {
+    snapshot[name] = await apiRequest(`/${name}`, 'GET');
+  }
+
+  if (options.out) {
+    await writeFile(options.out, JSON.stringify(snapshot, null, 2) + '\n');
+    const extra = include.map((name) => `, ${snapshot[name].length} ${RESOURCES[name].plural}`).join('');
+    printInfo(t('export.saved', { file: options.out, count: snapshot.products.length, plural: RESOURCES.products.plural, extra, date: snapshot.exportedAt }));
+  } else {
+    console.log(JSON.stringify(snapshot, null, 2));
+  }
+  return snapshot;
+}
+
+/**
+ * Lee un snapshot creado con 'export'. También acepta un array de productos (ej: GET products --format json).
+ * @returns {Promise<{ source: string, exportedAt: string|null, baseUrl: string|null, products: object[] }>}
+ */
+async function readSnapshot(file) {
+  const data = JSON.parse(await readFile(file, 'utf8'));
+  const products = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(products)) {
+    throw new Error(t('diff.invalidSnapshot', { file }));
+  }
+  return { source: file, exportedAt: data.exportedAt ?? null, baseUrl: data.baseUrl ?? null, products };
+}
+
+/**
+ * Compara dos listas de productos por ID.
+ * @returns {{ added: object[], removed: object[], modified: { id, title, changes: { field, old, new, delta? }[] }[] }}
+ */
+export function diffProducts(oldProducts, newProducts) {
+  const oldById = new Map(oldProducts.map((product) => [product.id, product]));
+  const newById = new Map(newProducts.map((product) => [product.id, product]));
+
+  const added = newProducts.filter((product) => !oldById.has(product.id));
+  const removed = oldProducts.filter((product) => !newById.has(product.id));
+  const modified = [];
+  for (const newProduct of newProducts) {
+    const oldProduct = oldById.get(newProduct.id);
+    if (!oldProduct) continue;
+
+    const changes = [];
+    for (const field of DIFF_FIELDS) {
+      const oldValue = getPath(oldProduct, field);
+      const newValue = getPath(newProduct, field);
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+      const change = { field, old: oldValue, new: newValue };
+      // Para los valores numéricos (precio, rating) se informa también la diferencia
+      if (typeof oldValue === 'number' && typeof newValue === 'number') {
+        change.delta = Number((newValue - oldValue).toFixed(4));
+      }
+      changes.push(change);
+    }
+    if (changes.length > 0) {
+      modified.push({ id: newProduct.id, title: newProduct.title, changes });
+    }
+  }
+  return { added, removed, modified };
+}
+
+/**
+ * Compara dos snapshots, o un snapshot con la API actual (diff <viejo.json> <nuevo.json> | diff <viejo.json> --live).
+ * Con --fail-on-changes termina con el código de salida EXIT_CODES.changes si hay diferencias (útil en CI).
+ */
+async function diff(args, options) {
+  const [oldFile, newFile] = args;
+  if (!oldFile || (!newFile && !options.live) || (newFile && options.live)) {
+    throw new UsageError(t('diff.usage'));
+  }
+
+  const before = await readSnapshot(oldFile);
+  const after = options.live
+    ? { source: t('diff.liveSource'), exportedAt: new Date().toISOString(), baseUrl: requestOptions.baseUrl, products: await apiRequest('/products', 'GET') }
+    : await readSnapshot(newFile);
+  const { added, removed, modified } = diffProducts(before.products, after.products);
+
+  const result = {
+    old: { source: before.source, exportedAt: before.exportedAt, baseUrl: before.baseUrl },
+    new: { source: after.source, exportedAt: after.exportedAt, baseUrl: after.baseUrl },
+    summary: { added: added.length, removed: removed.length, modified: modified.length },
+    added,
+    removed,
+    modified,
+  };
+
+  if (outputOptions.format === 'pretty') {
+    const describe = (snapshot) => `${snapshot.source}${snapshot.exportedAt ? ` (${snapshot.exportedAt})` : ''}`;
+    console.log(t('diff.title', { old: describe(before), new: describe(after) }));
+    for (const product of added) {
+      console.log(t('diff.added', { id: product.id, title: product.title, price: product.price }));
+    }
+    for (const product of removed) {
+      console.log(t('diff.removed', { id: product.id, title: product.title }));
+    }
+    for (const product of modified) {
+      console.log(t('diff.modified', { id: product.id, title: product.title }));
+      for (const change of product.changes) {
+        const delta = change.delta === undefined ? '' : ` (${change.delta > 0 ? '+' : ''}${change.delta})`;
+        console.log(`      ${change.field}: ${JSON.stringify(change.old)} -> ${JSON.stringify(change.new)}${delta}`);
+      }
+    }
+    console.log(t('diff.summary', { added: added.length, removed: removed.length, modified: modified.length }));
+  } else {
+    printResult(null, result);
+  }
+
+  if (options['fail-on-changes'] && added.length + removed.length + modified.length > 0) {
+    process.exitCode = EXIT_CODES.changes;
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Reportes: estadísticas del catálogo (report products) e ingresos de los carritos (report carts).
+// ---------------------------------------------------------------------------------------------
+
+// Criterios de report products --by para el top de productos
+const REPORT_TOP_FIELDS = {
+  rating: (product) => product.rating?.rate ?? 0,
+  price: (product) => product.price,
+};
+
+/**
+ * Redondea un número a 2 decimales (los precios y promedios de los reportes).
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calcula la mediana de una lista de números (null si está vacía).
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Resume un grupo de productos: cantidad, precios mínimo, máximo, promedio y mediana,
+ * y el rating promedio ponderado por rating.count (un rating con más votos pesa más).
+ */
+function summarizeProducts(products) {
+  const prices = products.map((product) => product.price);
+  const votes = products.reduce((sum, product) => sum + (product.rating?.count ?? 0), 0);
+  const weighted = products.reduce((sum, product) => sum + (product.rating?.rate ?? 0) * (product.rating?.count ?? 0), 0);
+  return {
+    count: products.length,
+    minPrice: prices.length ? Math.min(...prices) : null,
+    maxPrice: prices.length ? Math.max(...prices) : null,
+    meanPrice: prices.length ? round2(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null,
+    medianPrice: prices.length ? round2(median(prices)) : null,
+    weightedRating: votes ? round2(weighted / votes) : null,
+    ratingCount: votes,
+  };
+}
+
+/**
+ * Arma el histograma de precios: 'buckets' rangos del mismo ancho entre el precio mínimo y el máximo.
+ */
+function priceHistogram(products, buckets) {
+  const prices = products.map((product) => product.price);
+  if (prices.length === 0) return [];
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  // Si todos los precios son iguales hay un solo rango
+  const width = (max - min) / buckets || 1;
+  const rows = Array.from({ length: max > min ? buckets : 1 }, (_, index) => ({
+    from: round2(min + width * index),
+    to: round2(index === buckets - 1 || max === min ? max : min + width * (index + 1)),
+    count: 0,
+  }));
+  for (const price of prices) {
+    // El precio máximo cae en el último rango (los rangos incluyen su límite superior solo al final)
+    rows[Math.min(Math.floor((price - min) / width), rows.length - 1)].count++;
+  }
+  return rows;
+}
+
+/**
+ * Calcula el reporte del catálogo: estadísticas por categoría, top de productos e histograma de precios.
+ */
+function reportProducts(products, { top, by, buckets }) {
+  const categories = [...new Set(products.map((product) => product.category))];
+  const byCategory = categories.map((category) => ({
+    category,
+    ...summarizeProducts(products.filter((product) => product.category === category)),
+  }));
+  byCategory.push({ category: t('report.allCategories'), ...summarizeProducts(products) });
+
+  // En un empate (ej: mismo rating) gana el que tiene más votos
+  const topProducts = [...products]
+    .sort((a, b) => REPORT_TOP_FIELDS[by](b) - REPORT_TOP_FIELDS[by](a) || (b.rating?.count ?? 0) - (a.rating?.count ?? 0))
+    .slice(0, top)
+    .map((product, index) => ({
+      rank: index + 1,
+      id: product.id,
+      title: product.title,
+      price: product.price,
+      rate: product.rating?.rate ?? null,
+      count: product.rating?.count ?? null,
+    }));
+
+  return { byCategory, top: topProducts, priceHistogram: priceHistogram(products, buckets) };
+}
 
-    // Verifica si la respuesta no fue exitosa (código de estado no es 2xx)
-    if (!response.ok) {
-      // Si no es exitosa, intenta obtener el cuerpo del error
-      const errorBody = await response.text(); // Uso text() por si el error no es JSON
-      throw new Error(`Error ${response.status}: ${response.statusText}. Body: ${errorBody}`);
+/**
+ * Calcula los ingresos de los carritos (precio del producto x cantidad) por carrito, por usuario y por producto.
+ * Los productos de un carrito que ya no están en el catálogo se cuentan aparte, sin ingreso.
+ */
+function reportCarts(carts, products) {
+  const productsById = new Map(products.map((product) => [product.id, product]));
+  const perUser = new Map();
+  const perProduct = new Map();
+  const unknownProducts = new Set();
+
+  const perCart = carts.map((cart) => {
+    let items = 0;
+    let revenue = 0;
+    for (const { productId, quantity } of cart.products ?? []) {
+      const product = productsById.get(productId);
+      items += quantity;
+      if (!product) {
+        unknownProducts.add(productId);
+        continue;
+      }
+      revenue += product.price * quantity;
+      const entry = perProduct.get(productId) ?? { productId, title: product.title, quantity: 0, revenue: 0 };
+      entry.quantity += quantity;
+      entry.revenue += product.price * quantity;
+      perProduct.set(productId, entry);
+    }
+    const user = perUser.get(cart.userId) ?? { userId: cart.userId, carts: 0, items: 0, revenue: 0 };
+    user.carts++;
+    user.items += items;
+    user.revenue += revenue;
+    perUser.set(cart.userId, user);
+    return { cartId: cart.id, userId: cart.userId, date: cart.date, items, revenue: round2(revenue) };
+  });
+
+  // Los usuarios y productos se ordenan de mayor a menor ingreso
+  const byRevenue = (a, b) => b.revenue - a.revenue;
+  const rounded = (entry) => ({ ...entry, revenue: round2(entry.revenue) });
+  return {
+    summary: {
+      carts: carts.length,
+      items: perCart.reduce((sum, cart) => sum + cart.items, 0),
+      revenue: round2(perCart.reduce((sum, cart) => sum + cart.revenue, 0)),
+      unknownProducts: [...unknownProducts],
+    },
+    perCart,
+    perUser: [...perUser.values()].sort(byRevenue).map(rounded),
+    perProduct: [...perProduct.values()].sort(byRevenue).map(rounded),
+  };
+}
+
+/**
+ * Muestra un reporte: en json y ndjson como un solo objeto; en los demás formatos, una tabla (o CSV) por sección.
+ * @param {object} report - El reporte completo.
+ * @param {{ key: string, title: string }[]} sections - Las secciones a mostrar, en orden.
+ */
+function printReport(report, sections) {
+  if (outputOptions.format === 'json' || outputOptions.format === 'ndjson' || outputOptions.raw) {
+    printResult(null, report);
+    return;
+  }
+  sections.forEach(({ key, title }, index) => {
+    const rows = report[key];
+    // Los títulos van a stderr en los formatos para máquinas (ej: para que el CSV quede limpio)
+    printInfo(`${index > 0 ? '\n' : ''}${title}:`);
+    if (Array.isArray(rows) && rows.length === 0) {
+      printInfo(t('report.noData'));
+    } else if (outputOptions.format === 'pretty') {
+      console.log(renderTable(rows));
+    } else {
+      printResult(null, rows);
+    }
+  });
+}
+
+/**
+ * Reportes del catálogo y de los carritos (report products [--top <n>] [--by rating|price] [--buckets <n>] | report carts).
+ */
+async function report(args, options) {
+  const [resourceName] = args;
+  if (resourceName === 'products') {
+    const top = options.top === undefined ? 5 : Number(options.top);
+    const buckets = options.buckets === undefined ? 5 : Number(options.buckets);
+    const by = options.by ?? 'rating';
+    if (!Number.isInteger(top) || top < 1 || !Number.isInteger(buckets) || buckets < 1) {
+      throw new UsageError(t('report.invalidTopOrBuckets'));
+    }
+    if (!(by in REPORT_TOP_FIELDS)) {
+      throw new UsageError(t('report.invalidBy', { values: Object.keys(REPORT_TOP_FIELDS).join(', ') }));
     }
 
-    // Si la respuesta es exitosa, verifica si tiene contenido para parsear como JSON
-    // Las peticiones DELETE a veces no retornan cuerpo o retornan un cuerpo que no es JSON
-    const contentType = response.headers.get("content-type");
-    if (contentType && contentType.indexOf("application/json") !== -1) {
-      return await response.json(); // Parsea la respuesta como JSON
+    const result = reportProducts(await apiRequest('/products', 'GET'), { top, by, buckets });
+    if (outputOptions.format === 'pretty' && !outputOptions.raw) {
+      // En pretty el histograma lleva una barra proporcional a la cantidad de productos
+      const largest = Math.max(1, ...result.priceHistogram.map((row) => row.count));
+      result.priceHistogram = result.priceHistogram.map((row) => ({ ...row, bar: '#'.repeat(Math.round((row.count / largest) * 30)) }));
+    }
+    printReport(result, [
+      { key: 'byCategory', title: t('report.byCategory') },
+      { key: 'top', title: t(by === 'rating' ? 'report.topByRating' : 'report.topByPrice', { top }) },
+      { key: 'priceHistogram', title: t('report.priceHistogram') },
+    ]);
+    return result;
+  }
+
+  if (resourceName === 'carts') {
+    // Los carritos y el catálogo se piden en paralelo
+    const [carts, products] = await Promise.all([apiRequest('/carts', 'GET'), apiRequest('/products', 'GET')]);
+    const result = reportCarts(carts, products);
+    printReport(result, [
+      { key: 'perCart', title: t('report.perCart') },
+      { key: 'perUser', title: t('report.perUser') },
+      { key: 'perProduct', title: t('report.perProduct') },
+    ]);
+    const { summary } = result;
+    printInfo(`\n${t('report.cartsTotal', summary)}`);
+    if (summary.unknownProducts.length > 0) {
+      printInfo(t('report.unknownProducts', { ids: summary.unknownProducts.join(', ') }));
+    }
+    return result;
+  }
+
+  throw new UsageError(t('report.usage'));
+}
+
+// ---------------------------------------------------------------------------------------------
+// Carritos con precios: cart show <id> y cart add/remove <cartId> <productId> [cantidad].
+// ---------------------------------------------------------------------------------------------
+
+/**
+ * Obtiene varios productos por ID en paralelo, pidiendo cada ID una sola vez aunque se repita.
+ * @param {number[]} ids - Los IDs de los productos.
+ * @returns {Promise<Map<number, object|null>>} - Cada producto por su ID (null si no existe).
+ */
+async function fetchProductsById(ids) {
+  const uniqueIds = [...new Set(ids)];
+  const products = await Promise.all(uniqueIds.map(async (id) => {
+    try {
+      return await client.products.get(id);
+    } catch (error) {
+      // Un producto borrado del catálogo no impide mostrar el resto del carrito
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+  }));
+  return new Map(uniqueIds.map((id, index) => [id, products[index] ?? null]));
+}
+
+/**
+ * Obtiene un carrito por su ID.
+ * @throws {NotFoundError} - Si el carrito no existe (la API real responde 200 sin cuerpo).
+ */
+async function fetchCart(cartId) {
+  return await client.carts.get(cartId);
+}
+
+/**
+ * Resuelve cada línea de un carrito con el título y el precio unitario del producto, y calcula los totales.
+ * @returns {Promise<object>} - { cartId, userId, date, lines, items, total, missingProducts }
+ */
+async function priceCart(cart) {
+  const productsById = await fetchProductsById((cart.products ?? []).map((line) => line.productId));
+  const lines = (cart.products ?? []).map(({ productId, quantity }) => {
+    const product = productsById.get(productId);
+    return {
+      productId,
+      title: product?.title ?? null,
+      unitPrice: product?.price ?? null,
+      quantity,
+      lineTotal: product ? round2(product.price * quantity) : null,
+    };
+  });
+  return {
+    cartId: cart.id,
+    userId: cart.userId,
+    date: cart.date,
+    lines,
+    items: lines.reduce((sum, line) => sum + line.quantity, 0),
+    total: round2(lines.reduce((sum, line) => sum + (line.lineTotal ?? 0), 0)),
+    missingProducts: lines.filter((line) => line.title === null).map((line) => line.productId),
+  };
+}
+
+/**
+ * Muestra un carrito con sus precios: una tabla con las líneas y el total.
+ */
+function printPricedCart(label, priced) {
+  printReport(priced, [{ key: 'lines', title: t('cart.title', { label, ...priced }) }]);
+  printInfo(t('cart.total', priced));
+  if (priced.missingProducts.length > 0) {
+    printInfo(t('cart.missingProducts', { ids: priced.missingProducts.join(', ') }));
+  }
+}
+
+/**
+ * Muestra un carrito con precios, o le agrega o quita productos
+ * (cart show <id> | cart add <cartId> <productId> [cantidad] | cart remove <cartId> <productId> [cantidad]).
+ */
+async function cart(args) {
+  const [action, cartId, productId, quantityArg] = args;
+  const usage = t('cart.usage');
+  if (!['show', 'add', 'remove'].includes(action) || !isNumericId(cartId ?? '')) {
+    throw new UsageError(usage);
+  }
+
+  if (action === 'show') {
+    const priced = await priceCart(await fetchCart(cartId));
+    printPricedCart(capitalize(RESOURCES.carts.singular), priced);
+    return priced;
+  }
+
+  if (!isNumericId(productId ?? '')) {
+    throw new UsageError(usage);
+  }
+  // Sin cantidad, 'add' agrega una unidad y 'remove' quita el producto completo
+  if (quantityArg !== undefined && (!isNumericId(quantityArg) || parseInt(quantityArg) < 1)) {
+    throw new UsageError(t('cart.invalidQuantity'));
+  }
+  const id = parseInt(productId);
+
+  // El carrito y el producto se piden en paralelo; el producto se verifica solo al agregarlo (get lanza NotFoundError)
+  const [current] = await Promise.all([fetchCart(cartId), action === 'add' ? client.products.get(id) : null]);
+  const products = (current.products ?? []).map((line) => ({ ...line }));
+  const line = products.find((item) => item.productId === id);
+
+  if (action === 'add') {
+    const quantity = quantityArg === undefined ? 1 : parseInt(quantityArg);
+    if (line) {
+      line.quantity += quantity;
     } else {
-      // Retorna un mensaje de éxito si no hay JSON (ej. algunas respuestas DELETE)
-      return { message: `Operation successful. Status: ${response.status}`};
+      products.push({ productId: id, quantity });
+    }
+  } else {
+    if (!line) {
+      throw new UsageError(t('cart.productNotInCart', { id, cartId }));
+    }
+    line.quantity = quantityArg === undefined ? 0 : line.quantity - parseInt(quantityArg);
+  }
+
+  // Se envía el carrito completo (PUT), sin los productos que quedaron sin unidades
+  const body = { userId: current.userId, date: current.date, products: products.filter((item) => item.quantity > 0) };
+  const updated = await apiRequest(`/carts/${cartId}`, 'PUT', body);
+  // La API real no guarda los cambios, así que los precios se calculan sobre el carrito enviado
+  const priced = await priceCart({ ...body, id: updated?.id ?? parseInt(cartId) });
+  printPricedCart(t(action === 'add' ? 'cart.added' : 'cart.removed'), priced);
+  return priced;
+}
+
+// ---------------------------------------------------------------------------------------------
+// Códigos de salida y errores: cada tipo de error termina con su propio código, para que los scripts puedan distinguirlos.
+// ---------------------------------------------------------------------------------------------
+
+// Códigos de salida del proceso (documentados en la ayuda)
+const EXIT_CODES = {
+  ok: 0,
+  error: 1, // Error inesperado (ej: un archivo que no se puede leer)
+  usage: 2, // Comando, ruta, argumentos u opciones no válidos
+  validation: 3, // Cuerpo no válido según el esquema, o respuesta no válida con --strict
+  notFound: 4, // El elemento pedido no existe (404)
+  http: 5, // Cualquier otro error HTTP (4xx o 5xx)
+  network: 6, // Sin respuesta: error de conexión, tiempo de espera agotado o sin copia en caché con --offline
+  changes: 7, // diff --fail-on-changes encontró diferencias (no es un error de la CLI)
+  importIncomplete: 8, // import products tuvo filas omitidas (no válidas) o que fallaron al crearse
+};
+
+/**
+ * Error de uso de la CLI: el comando, la ruta, los argumentos o las opciones no son válidos.
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Clasifica un error: su código para --json-errors y el código de salida.
+ * NotFoundError va antes que HttpError porque es una subclase.
+ */
+function classifyError(error) {
+  if (error instanceof UsageError) return { code: 'USAGE_ERROR', exitCode: EXIT_CODES.usage };
+  if (error instanceof ValidationError) return { code: 'VALIDATION_ERROR', exitCode: EXIT_CODES.validation };
+  if (error instanceof NotFoundError) return { code: 'NOT_FOUND', exitCode: EXIT_CODES.notFound };
+  if (error instanceof HttpError) return { code: 'HTTP_ERROR', exitCode: EXIT_CODES.http };
+  if (error instanceof NetworkError) return { code: 'NETWORK_ERROR', exitCode: EXIT_CODES.network };
+  return { code: 'ERROR', exitCode: EXIT_CODES.error };
+}
+
+/**
+ * Muestra un error en stderr (como texto, o como un objeto JSON con --json-errors) y fija el código de salida.
+ */
+function reportError(error) {
+  const { code, exitCode } = classifyError(error);
+  process.exitCode = exitCode;
+
+  if (outputOptions.jsonErrors) {
+    // Una sola línea JSON; los campos que no aplican (ej: status en un error de uso) quedan en null
+    console.error(JSON.stringify({
+      error: {
+        code,
+        exitCode,
+        message: error.message,
+        status: error.status ?? null,
+        method: error.method ?? null,
+        url: error.url ?? null,
+        body: error.body ?? null,
+        fields: error.errors ?? null,
+      },
+    }));
+  } else if (error instanceof UsageError || error instanceof ValidationError) {
+    // Los errores de uso y de validación ya explican qué corregir
+    console.error(error.message);
+  } else {
+    console.error(t('error.unexpected'), error.message);
+  }
+}
+
+// Comandos que no son métodos HTTP
+const COMMANDS = {
+  login,
+  logout,
+  whoami,
+  cache,
+  serve,
+  config,
+  shell,
+  import: importCommand, // 'import' y 'export' son palabras reservadas, por eso las funciones tienen otro nombre
+  export: exportCommand,
+  diff,
+  report,
+  cart,
+};
+
+/**
+ * Ejecuta un comando completo (ej: ['GET', 'products/1', '--format', 'json']).
+ * La usan main, con los argumentos de la línea de comandos, y el modo 'shell', con cada línea ingresada.
+ * @param {string[]} argv - Los argumentos del comando, sin 'node' ni 'index.js'.
+ * @returns {Promise<*>} - El resultado del comando (ej: los productos obtenidos), o undefined si no hubo resultado.
+ */
+async function runCommand(argv) {
+  // Primero se separan las opciones globales (ej: --format json) de los argumentos posicionales
+  const { positionals, options, error: optionsError } = parseCliArgs(argv);
+  // El idioma de --lang o FAKESTORE_LANG (o el del sistema) se aplica enseguida; applyConfig lo ajusta con la configuración
+  setLocale(options.lang ?? process.env.FAKESTORE_LANG ?? CONFIG_KEYS.lang.default);
+  // --json-errors se aplica antes que nada, para que también los errores de uso salgan como JSON
+  outputOptions.jsonErrors = Boolean(options['json-errors']);
+  // En el modo 'shell' el código de salida es el del último comando
+  process.exitCode = EXIT_CODES.ok;
+  try {
+    if (optionsError) {
+      throw new UsageError(t(...optionsError));
     }
+    return await executeCommand(positionals, options);
   } catch (error) {
-    // Captura cualquier error durante la petición o el parseo
-    console.error(`API Request Failed for ${method} ${url}:`, error.message);
-    // Muestra el error para que sea manejado por la función que llamó a apiRequest
-    throw error;
+    // Los errores específicos de la API ya se muestran automáticamente en apiRequest, sin necesidad de incluirlos en este código
+    // Aquí se muestran todos los errores y se elige el código de salida según su tipo
+    reportError(error);
   }
 }
 
 /**
- * Función principal que procesa los comandos de la línea de argumentos.
+ * Ejecuta un comando ya separado en argumentos posicionales y opciones.
+ * Los errores no se capturan aquí: runCommand los muestra y elige el código de salida.
  */
-async function main() {
-  // Captura los argumentos de la línea de comandos usando process.argv
-  // process.argv[0] es 'node'
-  // process.argv[1] es 'index.js' (script que se está ejecutando)
-  // El primer argumento real es process.argv[2] , es decir, el tercer elemento del array devuelto
-  const [, , command, path, ...args] = process.argv; // destructuring de arrays;  al final hay una explicación detallada sobre esto; no confundir args con argv.
+async function executeCommand(positionals, options) {
+  const cacheError = configureCache(options);
+  if (cacheError) {
+    throw new UsageError(cacheError);
+  }
+  const [command, path, ...args] = positionals; // destructuring de arrays;  al final hay una explicación detallada sobre esto; no confundir args con argv.
+
+  // Resuelve la configuración (archivos, perfil, variables de entorno y opciones) y la aplica
+  // 'config set --profile <nombre>' es justamente cómo se crea un perfil, así que ahí no se exige que exista
+  const creatingProfile = command?.toLowerCase() === 'config' && path === 'set';
+  activeConfig = await resolveConfig(options, { creatingProfile });
+  if (activeConfig.errors.length > 0) {
+    // 'config' sigue funcionando con una configuración inválida, justamente para poder corregirla
+    if (command?.toLowerCase() !== 'config') {
+      throw new UsageError(activeConfig.errors.join('\n'));
+    }
+    activeConfig.errors.forEach((error) => printWarning('CONFIG_ERROR', error));
+  }
+  applyConfig(activeConfig.values);
+  configureOutput(options);
+
+  // Los comandos de sesión (login, logout, whoami), 'cache', 'serve' y 'config' no llevan path, así que se atienden primero
+  const sessionCommand = command && COMMANDS[command.toLowerCase()];
+  if (sessionCommand) {
+    return await sessionCommand(positionals.slice(1), options);
+  }
   // Muestra un mensaje de ayuda si no se proporcionan suficientes argumentos
   if (!command || !path) {
-    console.log(`
-Uso: npm run start <COMMAND> <RESOURCE_PATH> [ARGUMENTS... | FIELD_TO_EXTRACT]
-
-Comandos disponibles:
-  GET products                                  - Obtiene todos los productos.
-  GET products/<productId>                      - Obtiene un producto específico por su ID.
-  GET products/<productId> <field>              - Obtiene un campo específico (ej: image, title, price) de un producto.
-  POST products <title> <price> <category> [description] [image] - Crea un nuevo producto.
-                                      (description e image son opcionales y se usarán valores por defecto si no se proveen)
-  DELETE products/<productId>                   - Elimina un producto por su ID.
-
-Ejemplos:
-  npm run start GET products
-  npm run start GET products/15
-  npm run start GET products/20 image
-  npm run start GET products/5 title
-  npm run start POST products "Amazing T-Shirt" 19.99 "men's clothing" "A great t-shirt" "https://i.pravatar.cc"
-  npm run start POST products "Cool Gadget" 299.99 "electronics"
-  npm run start DELETE products/7
-    `);
+    console.log(t('help'));
+    // Sin argumentos es un pedido de ayuda; un comando sin path es un error de uso
+    if (command) {
+      throw new UsageError(t('command.missingPath', { command }));
+    }
     return; // Termina la ejecución si no hay suficientes argumentos
   }
 
   // Convierte el comando a mayúsculas para facilitar la comparación
   const method = command.toUpperCase();
-  // El endpoint se construye a partir del path
-  let endpoint = `/${path}`;
+  if (!HTTP_METHODS.includes(method)) {
+    // Si el comando no es válido
+    throw new UsageError(t('command.unknown', { command, commands: HTTP_METHODS.join(', ') }));
+  }
 
-  try {
-    // Variable para almacenar el resultado de la API
-    let result;
-
-    // Switch para manejar los diferentes comandos
-    switch (method) {
-      case 'GET':
-        // Si se pide la lista completa de productos; si se especifica algún atributo del producto, entonces la longitud no es igual a 0
-        if (path === 'products' && args.length === 0) {
-          result = await apiRequest(endpoint, 'GET');
-          console.log('Productos obtenidos:', result);
-        }
-        // Si se pide un producto específico (con o sin campo a extraer)
-        else if (path.startsWith('products/')) {
-          // El endpoint ya está construido para obtener el producto (ej: /products/15)
-          const productData = await apiRequest(endpoint, 'GET');
-
-          // Si se proporcionó un argumento adicional (el nombre del campo a extraer)
-          if (args.length > 0) {
-            const fieldToExtract = args[0]; // El primer argumento en 'args' es el campo a extraer; no confundir con argvs
-            const productId = path.split('/')[1]; // Extraemos el ID para los mensajes
-
-            // Verifica si el producto tiene ese campo
-            if (productData && typeof productData === 'object' && fieldToExtract in productData) {
-              // Muestra solo el campo solicitado
-              console.log(`Campo '${fieldToExtract}' del producto ${productId}:`, productData[fieldToExtract]);
-            } else if (productData && typeof productData === 'object') {
-              // Si el campo no existe en el producto, informa al usuario
-              console.error(`Error: El campo '${fieldToExtract}' no existe en el producto ${productId}.`);
-              console.log('Campos disponibles:', Object.keys(productData));
-            } else {
-              // Si productData no es un objeto (podría ser un mensaje de error de la API, si el producto no se encontró)
-              console.log(`Respuesta de la API para ${path} (posiblemente producto no encontrado):`, productData);
-            }
-          } else {
-            // Si no se especificó un campo, muestra el producto completo
-            console.log('Producto obtenido:', productData);
-          }
-        } else {
-          // Si el path no es reconocido para GET
-          console.error(`Ruta no válida para GET: '${path}'. Use 'products', 'products/<id>' o 'products/<id> <field>'.`);
-        }
-        break;
+  // Busca la ruta en el registro y verifica que acepte el método pedido
+  const match = matchRoute(path);
+  if (!match || !match.route.handlers[method]) {
+    const validPaths = ROUTES.filter((route) => route.handlers[method]).map((route) => `'${displayRoute(route.path)}'`);
+    throw new UsageError(t('command.invalidRoute', { method, path, paths: validPaths.join(', ') }));
+  }
+  const { route, params } = match;
 
-      case 'POST':
-        // Si el path es 'products' para crear un nuevo producto
-        if (path === 'products') {
-          // Verifica que se proporcionen los argumentos mínimos para crear un producto
-          if (args.length < 3) {
-            console.error('Para POST products, se requieren al menos: <title> <price> <category>.');
-            console.error('Ejemplo: npm run start POST products "Mi Producto" 10.99 "electronica"');
-            return; // Termina si faltan argumentos
-          }
-          // Desestructura los argumentos para el nuevo producto
-          const [title, priceStr, category, description, image] = args;
-          // Convierte el precio a número flotante
-          const price = parseFloat(priceStr);
-
-          // Verifica si el precio es un número válido
-          if (isNaN(price)) {
-            console.error('El precio debe ser un número válido.');
-            return; // Termina si el precio no es válido
-          }
+  // Verifica que los IDs sean números (aunque la API podría manejar strings, buena práctica validarlo)
+  for (const name of NUMERIC_PARAMS) {
+    if (name in params && !isNumericId(params[name])) {
+      throw new UsageError(t('command.numericId', { method, resource: route.resource, route: displayRoute(route.path) }));
+    }
+  }
+  if ('name' in params && !params.name) {
+    throw new UsageError(t('command.categoryName', { method, route: displayRoute(route.path) }));
+  }
 
-          // Crea el objeto del nuevo producto
-          // FakeStoreAPI espera 'description' e 'image', así que proveemos valores por defecto si no se dan
-          const newProduct = {
-            title,
-            price,
-            category,
-            description: description || 'Default product description', // Valor por defecto si no se proporciona
-            image: image || 'https://calculo-intereses.onrender.com', // Imagen placeholder por defecto; es mi web page.
-          };
-
-          // Realiza la petición POST
-          result = await apiRequest(endpoint, 'POST', newProduct);
-          // Imprime el resultado de la creación
-          console.log('Producto creado:', result);
-        } else {
-          // Si el path no es reconocido para POST
-          console.error(`Ruta no válida para POST: ${path}. Use 'products'.`);
-        }
-        break;
+  // Las opciones de consulta solo tienen sentido en los listados de productos
+  const queryOption = QUERY_OPTIONS.find((name) => name in options);
+  if (queryOption && route.query !== method) {
+    throw new UsageError(t('command.queryOption', { option: queryOption }));
+  }
 
-      case 'DELETE':
-        // Si el path es 'products/<id>' para eliminar un producto
-        if (path.startsWith('products/')) {
-          // Extrae el ID del producto del path
-          const productId = path.split('/')[1];
-          // Verifica que el ID sea un número (aunque la API podría manejar strings, buena práctica validarlo)
-          if (!productId || isNaN(parseInt(productId))) {
-             console.error('Para DELETE products, se requiere un ID numérico válido: products/<productId>');
-             return;
-          }
-          // Realiza la petición DELETE
-          // El endpoint ya incluye el ID (ej: /products/7)
-          result = await apiRequest(endpoint, 'DELETE');
-          // Imprime el resultado de la eliminación
-          // Nota: FakeStoreAPI, en realidad, no borra el item, solo simula la respuesta.
-          console.log(`Producto con ID ${productId} (supuestamente) eliminado:`, result);
-        } else {
-          // Si el path no es reconocido para DELETE
-          console.error(`Ruta no válida para DELETE: ${path}. Use 'products/<id>'.`);
-        }
-        break;
+  // El endpoint se construye a partir de la ruta, codificando los parámetros (ej: "men's clothing")
+  const endpoint = '/' + route.path.replace(/:(\w+)/g, (_, name) => encodeURIComponent(params[name]));
+
+  // Ejecuta el handler correspondiente al método y la ruta
+  return await route.handlers[method]({
+    resource: RESOURCES[route.resource],
+    collection: client[route.resource],
+    endpoint,
+    params,
+    path,
+    args,
+    options,
+  });
+}
 
-      default:
-        // Si el comando no es válido
-        console.error(`Comando no reconocido: ${command}. Comandos válidos: GET, POST, DELETE.`);
-    }
-  } catch (error) {
-    // Captura cualquier error que haya ocurrido en las operaciones y lo muestra
-    // Los errores específicos de la API ya se muestran automáticamente en apiRequest, sin necesidad de incluirlos en este código
-    // Esto es para errores generales.
-    console.error('Ocurrió un error en la operación principal:', error.message);
-  }
+/**
+ * Función principal que procesa los comandos de la línea de argumentos.
+ */
+async function main() {
+  // Captura los argumentos de la línea de comandos usando process.argv
+  // process.argv[0] es 'node'
+  // process.argv[1] es 'index.js' (script que se está ejecutando)
+  // El primer argumento real es process.argv[2] , es decir, el tercer elemento del array devuelto
+  await runCommand(process.argv.slice(2));
 }
 
-// Ejecuta la función principal
-main();
+// Ejecuta la función principal solo si se ejecutó este archivo (node index.js o el bin 'fakestore', que es un enlace);
+// al importarlo, por ejemplo desde los tests, solo se cargan las funciones exportadas
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
 
 
 /*   ******************************************************************************************
@@ -0,0 +1,820 @@
+// messages.js
+// Catálogo de los mensajes de la CLI, en español (es) e inglés (en).
+// Los valores variables (IDs, campos, archivos) van como {placeholders}, que t() reemplaza al mostrar el mensaje.
+
+// Idiomas disponibles; si un mensaje falta en el idioma elegido se usa el de DEFAULT_LOCALE
+export const LOCALES = ['es', 'en'];
+export const DEFAULT_LOCALE = 'es';
+
+// Idioma de la ejecución actual (la CLI lo elige con --lang, la configuración, LC_ALL o LANG)
+let currentLocale = DEFAULT_LOCALE;
+
+export const MESSAGES = {
+  es: {
+    // Avisos y errores de las peticiones
+    warning: 'Aviso: {message}',
+    'offline.notCached': 'Modo offline: no hay una copia en caché de {request}. Ejecute el comando con conexión para guardarla.',
+    'offline.cannotSend': 'Modo offline: no se puede enviar {request} sin conexión.',
+    'api.requestFailed': 'Falló la petición {method} {url}:',
+    'credentials.readFailed': 'No se pudo leer el archivo de credenciales {file}:',
+    'cache.readFailed': 'No se pudo leer la caché {file}:',
+    'cart.invalidLine': "Línea de carrito no válida: '{item}'. Use el formato <productId>:<quantity> (ej: 1:2).",
+
+    // Recursos y validación de los argumentos
+    'resource.products.singular': 'producto',
+    'resource.products.plural': 'productos',
+    'resource.carts.singular': 'carrito',
+    'resource.carts.plural': 'carritos',
+    'resource.users.singular': 'usuario',
+    'resource.users.plural': 'usuarios',
+    'product.invalidPrice': "El precio debe ser un número válido (se recibió '{value}').",
+    'product.titleAndCategoryRequired': 'El título (title) y la categoría (category) son obligatorios.',
+    'cart.invalidUserId': 'El userId debe ser un ID numérico válido.',
+    'cart.invalidDate': "La fecha '{value}' no es válida. Use el formato AAAA-MM-DD.",
+    'user.invalidEmail': "El email '{value}' no es válido.",
+    'patch.invalidArgument': "Argumento no válido: '{pair}'. Use el formato campo=valor.",
+    'patch.fieldNotEditable': "El campo '{field}' no se puede modificar. Campos válidos: {fields}.",
+    'patch.notEditable': 'no se puede modificar',
+    'validation.invalidBody': 'El {singular} no es válido:',
+    'diff.noChanges': 'Sin cambios: el elemento quedó igual.',
+    'diff.applied': 'Cambios aplicados:',
+
+    // Opciones de línea de comandos y configuración
+    'cli.unknownOption': 'Opción no reconocida: --{name}.',
+    'cli.missingValue': 'La opción --{name} requiere un valor.',
+    'cli.cacheConflict': 'Las opciones --no-cache y --offline no se pueden usar juntas.',
+    'config.mustBeInteger': 'debe ser un número entero mayor o igual a {min}',
+    'config.mustBeNumber': 'debe ser un número mayor o igual a 0',
+    'config.mustBeBoolean': 'debe ser true o false',
+    'config.mustBeUrl': 'debe ser una URL válida (ej: http://localhost:3000)',
+    'config.mustBeOneOf': 'debe ser uno de: {values}',
+    'config.readFailed': 'No se pudo leer el archivo de configuración {file}: {message}',
+    'config.profileNotFound': "Perfil no encontrado: '{profile}'. Defínalo con 'config set <key> <value> --profile {profile}'.",
+    'config.unknownKeyInFile': "Clave de configuración desconocida '{key}' en {file}.",
+    'config.sourceDefault': 'por defecto',
+    'config.sourceFile': '{file}',
+    'config.sourceProfile': '{file} (perfil {profile})',
+    'config.sourceEnv': 'variable {name}',
+    'config.sourceFlag': 'opción --{name}',
+    'config.invalidValue': "Valor no válido para '{key}' ({source}): {error}.",
+
+    // Consultas y extracción de campos
+    'query.mustBeNumber': 'La opción --{option} debe ser un número válido.',
+    'query.mustBeNonNegativeInteger': 'La opción --{option} debe ser un número entero no negativo.',
+    'query.invalidSort': "Orden no válido: '{sort}'. Use {values}.",
+    'query.matchedWithLimit': 'Coinciden al menos {matched} productos (el total se desconoce porque la API aplicó el límite); se muestran {shown}.',
+    'query.matched': 'Coinciden {matched} de {total} productos; se muestran {shown}.',
+    'query.matchedInCategory': "Coinciden {matched} de los {total} productos de la categoría '{category}'; se muestran {shown}.",
+    'extract.mixedPaths': 'No se pueden combinar paths de la lista completa ({paths}) con paths de cada elemento.',
+    'extract.missingField': 'Error: El campo {fields} no existe en {description}.\nCampos disponibles: {available}',
+    'extract.missingFields': 'Error: Los campos {fields} no existen en {description}.\nCampos disponibles: {available}',
+    'extract.listDescription': 'los {plural}',
+    'list.label': '{Plural} obtenidos:',
+    'list.fieldsLabel': 'Campos de los {plural} obtenidos:',
+
+    // Comandos sobre las rutas de la API
+    'categories.label': 'Categorías obtenidas:',
+    'item.notFound': 'No existe el {singular} {id}.',
+    'extract.itemDescription': 'el {singular} {id}',
+    'item.fieldLabel': "Campo '{field}' del {singular} {id}:",
+    'item.fieldsLabel': 'Campos del {singular} {id}:',
+    'item.unexpectedResponse': 'Respuesta de la API para {path} (posiblemente {singular} no encontrado):',
+    'item.label': '{Singular} obtenido:',
+    'item.usage': 'Para {method} {path}, se requieren al menos: {usage}.\nEjemplo: npm run start {method} {path} {example}',
+    'item.created': '{Singular} creado:',
+    'item.replaced': '{Singular} con ID {id} reemplazado:',
+    'item.patchUsage': 'Para PATCH {path}, se requiere al menos un par campo=valor.\nCampos válidos: {fields}.',
+    'item.patched': '{Singular} con ID {id} modificado:',
+    'item.deleted': '{Singular} con ID {id} (supuestamente) eliminado:',
+
+    // Sesión
+    'login.usage': 'Para login, se requieren: <username> <password>.\nEjemplo: npm run start login mor_2314 83r5^_',
+    'login.noToken': 'La API no devolvió un token: {response}',
+    'login.success': "Sesión iniciada como '{username}'. Token guardado en {file}",
+    'logout.success': 'Sesión cerrada.',
+    'logout.noSession': 'No había ninguna sesión iniciada.',
+    'whoami.noSession': "No hay ninguna sesión iniciada. Use 'login <username> <password>'.",
+    'whoami.username': 'Usuario:',
+    'whoami.userId': 'ID de usuario:',
+    'whoami.loggedInAt': 'Sesión iniciada el:',
+
+    // Caché, servidor local y configuración
+    'cache.cleared': 'Caché vaciada ({count} entradas eliminadas).',
+    'cache.statsLabel': 'Estadísticas de la caché:',
+    'cache.usage': "Para cache, se requiere una acción: 'cache clear' o 'cache stats'.",
+    'serve.invalidPort': 'La opción --port debe ser un número de puerto válido (0-65535).',
+    'serve.portInUse': 'El puerto {port} ya está en uso. Elija otro con --port.',
+    'serve.listenFailed': 'No se pudo iniciar el servidor en el puerto {port}: {message}',
+    'serve.invalidData': "No se pudo leer el archivo de datos '{file}': {message}",
+    'serve.listening': 'Servidor FakeStore local escuchando en {url}',
+    'serve.listeningWithData': 'Servidor FakeStore local escuchando en {url} (datos en {file})',
+    'serve.hint': 'Use --base-url {url} en otra terminal para apuntar la CLI a este servidor. Ctrl+C para detenerlo.',
+    'config.listTitle': 'Configuración:',
+    'config.listTitleWithProfile': 'Configuración (perfil {profile}):',
+    'config.unknownKey': "Clave de configuración desconocida: '{key}'. Claves válidas: {keys}.",
+    'config.setUsage': 'Para config set, se requieren: <key> <value>. Ejemplo: npm run start config set baseUrl http://localhost:3000',
+    'config.invalidSetValue': "Valor no válido para '{key}': {error}.",
+    'config.saved': '{key} = {value} guardado en {file}.',
+    'config.savedInProfile': '{key} = {value} guardado en {file} (perfil {profile}).',
+    'config.usage': "Para config, se requiere una acción: 'config list', 'config get <key>' o 'config set <key> <value>'.",
+
+    // Modo interactivo
+    'shell.undefinedVariable': "Variable no definida: ${name}. Use 'vars' para ver las variables.",
+    'shell.missingVariableField': 'La variable {variable} no tiene ese campo.',
+    'shell.unclosedQuote': 'Falta cerrar las comillas ({quote}).',
+    'shell.historyReadFailed': 'No se pudo leer el historial {file}:',
+    'shell.noArguments': "El comando 'shell' no recibe argumentos. Use: npm run start shell [opciones].",
+    'shell.banner': "Modo interactivo de FakeStore. Escriba 'help' para ver los comandos y 'exit' para salir.",
+    'shell.helpCommands': 'Comandos del shell: vars (lista las variables), set <name> <value> (define $name), exit.',
+    'shell.helpVariables': 'Variables: $last es el resultado del comando anterior (ej: GET products/$last.id, $last[0].title).',
+    'shell.setUsage': 'Use: set <name> <value> (ej: set id 5).',
+    'shell.alreadyInShell': 'Ya está en el modo interactivo.',
+
+    // Importación
+    'import.csvUnclosedQuote': 'CSV no válido: faltan cerrar las comillas del campo que empieza en la línea {line}.',
+    'import.invalidJson': "JSON no válido: se esperaba un array de productos o un objeto con la clave 'products'.",
+    'import.itemLocation': 'Elemento {index}',
+    'import.csvMissingColumns': 'CSV no válido: faltan las columnas {columns} en los encabezados (línea {line}).',
+    'import.lineLocation': 'Línea {line}',
+    'import.usage': 'Para import, se requiere: import products <archivo.csv|archivo.json|->.\nEjemplo: npm run start import products catalogo.csv --dry-run',
+    'import.readFailed': 'No se pudo leer {source}: {message}',
+    'import.stdin': 'la entrada estándar',
+    'import.title': 'Importación de productos desde {source}:',
+    'import.titleDryRun': 'Importación de productos desde {source} (simulación, --dry-run):',
+    'import.valid': '  Válidos (se crearían): {count}',
+    'import.created': '  Creados: {count}',
+    'import.failed': '  Fallidos: {count}',
+    'import.skipped': '  Omitidos por inválidos: {count}',
+    'import.rowSkipped': 'omitido',
+    'import.rowFailed': 'falló',
+    'import.reportSaved': 'Reporte guardado en {file}',
+
+    // Snapshots y diferencias
+    'export.usage': 'Para export, se requiere: export products [--include carts,users] [--out snapshot.json].',
+    'export.invalidInclude': "No se puede incluir '{names}' en el snapshot. Use: {values}.",
+    'export.saved': 'Snapshot guardado en {file}: {count} {plural}{extra} ({date}).',
+    'diff.invalidSnapshot': '{file} no es un snapshot válido: falta la lista de productos.',
+    'diff.usage': 'Para diff, se requiere: diff <viejo.json> <nuevo.json> o diff <viejo.json> --live.',
+    'diff.liveSource': 'API en vivo',
+    'diff.title': 'Diferencias entre {old} y {new}:',
+    'diff.added': '  + Agregado #{id} "{title}" ({price})',
+    'diff.removed': '  - Eliminado #{id} "{title}"',
+    'diff.modified': '  ~ Modificado #{id} "{title}":',
+    'diff.summary': 'Resumen: {added} agregados, {removed} eliminados, {modified} modificados.',
+
+    // Reportes
+    'report.noData': '  (sin datos)',
+    'report.invalidTopOrBuckets': 'Las opciones --top y --buckets deben ser números enteros mayores que 0.',
+    'report.invalidBy': 'La opción --by debe ser uno de: {values}.',
+    'report.byCategory': 'Productos por categoría (precios y rating ponderado por cantidad de votos)',
+    'report.topByRating': 'Top {top} por rating',
+    'report.topByPrice': 'Top {top} por precio',
+    'report.priceHistogram': 'Histograma de precios',
+    'report.allCategories': '(todas)',
+    'report.perCart': 'Ingresos por carrito',
+    'report.perUser': 'Ingresos por usuario',
+    'report.perProduct': 'Ingresos por producto',
+    'report.cartsTotal': 'Total: {carts} carritos, {items} unidades, ingresos {revenue}.',
+    'report.unknownProducts': 'Productos que no están en el catálogo (sin ingreso): {ids}.',
+    'report.usage': 'Para report, se requiere: report products [--top <n>] [--by rating|price] [--buckets <n>] o report carts.',
+
+    // Carritos con precios
+    'cart.title': '{label} {cartId} (usuario {userId}, {date})',
+    'cart.total': 'Total: {total} ({items} unidades).',
+    'cart.missingProducts': 'Productos que no están en el catálogo (sin precio): {ids}.',
+    'cart.usage': 'Para cart, se requiere: cart show <cartId>, cart add <cartId> <productId> [cantidad] o cart remove <cartId> <productId> [cantidad].',
+    'cart.invalidQuantity': 'La cantidad debe ser un número entero mayor que 0.',
+    'cart.productNotInCart': 'El producto {id} no está en el carrito {cartId}.',
+    'cart.added': 'Producto agregado al carrito',
+    'cart.removed': 'Producto quitado del carrito',
+
+    // Errores generales y ejecución de comandos
+    'error.unexpected': 'Ocurrió un error en la operación principal:',
+    'command.missingPath': 'Falta el path del recurso: {command} <RESOURCE_PATH>.',
+    'command.unknown': 'Comando no reconocido: {command}. Comandos válidos: {commands}.',
+    'command.invalidRoute': "Ruta no válida para {method}: '{path}'. Use {paths}.",
+    'command.numericId': 'Para {method} {resource}, se requiere un ID numérico válido: {route}',
+    'command.categoryName': 'Para {method} {route}, se requiere un nombre de categoría.',
+    'command.queryOption': 'La opción --{option} solo se puede usar con GET products o GET products/category/<name>.',
+
+    // Cliente de la API (client.js)
+    'client.noToken': 'La API no devolvió un token.',
+    'client.httpError': 'Error {status}: {statusText}. Cuerpo: {body}',
+    'client.success': 'Operación exitosa. Estado: {status}',
+    'client.timeout': 'Tiempo de espera agotado: sin respuesta en {timeout} ms.',
+    'client.attempt': '[intento {attempt}/{maxAttempts}] {method} {url}',
+    'client.attemptFailed': '  -> falló en {elapsed} ms: {message}',
+    'client.attemptDone': '  -> {status} {statusText} en {elapsed} ms',
+    'client.retrying': '  reintentando en {delay} ms...',
+    'validation.invalidResponse': 'La respuesta de {method} {endpoint} no coincide con el esquema de {singular}:',
+
+    // Validación de esquemas (schemas.js)
+    'schema.nothing': 'nada',
+    'schema.anArray': 'un array',
+    'schema.anObject': 'un objeto',
+    'schema.root': '(raíz)',
+    'schema.mustBeString': 'debe ser un texto (se recibió {value})',
+    'schema.empty': 'no puede estar vacío',
+    'schema.mustBeUrl': 'debe ser una URL http(s) válida (se recibió {value})',
+    'schema.mustBeEmail': 'debe ser un email válido (se recibió {value})',
+    'schema.mustBeDate': 'debe ser una fecha válida, ej: 2020-03-02 (se recibió {value})',
+    'schema.mustBeNumber': 'debe ser un número (se recibió {value})',
+    'schema.mustBeInteger': 'debe ser un número entero (se recibió {value})',
+    'schema.min': 'debe ser mayor o igual a {min} (se recibió {value})',
+    'schema.max': 'debe ser menor o igual a {max} (se recibió {value})',
+    'schema.mustBeObject': 'debe ser un objeto (se recibió {value})',
+    'schema.mustBeArray': 'debe ser un array (se recibió {value})',
+    'schema.required': 'es obligatorio y falta',
+    'schema.unexpected': 'es un campo inesperado',
+
+    // Servidor local (server.js)
+    'server.routeNotFound': 'Ruta no encontrada: {path}',
+    'server.methodNotAllowed': 'Método no permitido: {method} {path}',
+    'server.notFound': 'No existe {collection}/{id}',
+    'server.invalidJson': 'El cuerpo de la petición no es un JSON válido.',
+    'server.invalidPath': 'La ruta no es válida (tiene un escape % mal formado): {path}',
+    'server.internalError': 'Error interno del servidor.',
+    'server.requestFailed': 'Falló la petición {method} {url}: {message}',
+    'server.saveFailed': 'No se pudieron guardar los datos en {file}: {message}',
+
+    // Ayuda (se muestra sin argumentos y con 'help' en el modo interactivo)
+    help: `
+Uso: npm run start <COMMAND> <RESOURCE_PATH> [ARGUMENTS... | FIELD_TO_EXTRACT] [OPCIONES]
+     npm run start login <username> <password> | logout | whoami
+     npm run start cache <clear|stats>
+     npm run start serve [--port 3000] [--data fixtures.json]
+     npm run start config <list|get|set> [key] [value] [--profile <name>] [--project]
+     npm run start shell
+     npm run start import products <archivo.csv|archivo.json|-> [--dry-run] [--report reporte.json]
+     npm run start export products [--include carts,users] [--out snapshot.json]
+     npm run start diff <viejo.json> <nuevo.json | --live> [--fail-on-changes]
+     npm run start report <products [--top 5] [--by rating|price] [--buckets 5] | carts>
+     npm run start cart <show <cartId> | add <cartId> <productId> [cantidad] | remove <cartId> <productId> [cantidad]>
+
+Comandos disponibles:
+  GET products                                  - Obtiene todos los productos.
+  GET products/<productId>                      - Obtiene un producto específico por su ID.
+  GET products/<productId> <field> [...]        - Obtiene uno o más campos de un producto (ej: title price rating.rate).
+  GET products <field> [...]                    - Obtiene esos campos de cada producto (también en carts y users).
+                                      Los paths admiten puntos y corchetes: rating.rate, products[0].quantity;
+                                      los que empiezan con '[' se leen de la lista completa (ej: [0].title).
+  GET products/categories                       - Obtiene la lista de categorías.
+  GET products/category/<name>                  - Obtiene los productos de una categoría.
+  POST products <title> <price> <category> [description] [image] - Crea un nuevo producto.
+                                      (description e image son opcionales y se usarán valores por defecto si no se proveen)
+  PUT products/<productId> <title> <price> <category> [description] [image] - Reemplaza un producto completo.
+  PATCH products/<productId> <field>=<value> [...] - Modifica solo los campos indicados (title, price, description, category, image).
+  DELETE products/<productId>                   - Elimina un producto por su ID.
+
+  GET carts | carts/<cartId> | carts/user/<userId> - Obtiene carritos (todos, uno o los de un usuario).
+  POST carts <userId> <productId>:<quantity> [...] - Crea un carrito con la fecha de hoy.
+  PUT carts/<cartId> <userId> <productId>:<quantity> [...] - Reemplaza un carrito.
+  PATCH carts/<cartId> <field>=<value> [...]    - Modifica userId, date o products (ej: products=1:2,3:1).
+  DELETE carts/<cartId>                         - Elimina un carrito.
+
+  GET users | users/<userId>                    - Obtiene todos los usuarios o uno específico.
+  POST users <email> <username> <password> [firstname] [lastname] [phone] - Crea un usuario.
+  PUT users/<userId> <email> <username> <password> [firstname] [lastname] [phone] - Reemplaza un usuario.
+  PATCH users/<userId> <field>=<value> [...]    - Modifica email, username, password, name o phone.
+  DELETE users/<userId>                         - Elimina un usuario.
+
+  login <username> <password>                   - Inicia sesión y guarda el token (se envía en cada petición).
+  logout                                        - Cierra la sesión y borra el token guardado.
+  whoami                                        - Muestra el usuario de la sesión actual.
+  cache clear                                   - Borra todas las respuestas guardadas en la caché.
+  cache stats                                   - Muestra cuántas respuestas hay en la caché y cuántas siguen vigentes.
+  serve [--port <n>] [--data <archivo.json>]    - Inicia un servidor local compatible con FakeStoreAPI
+                                      (los cambios persisten en memoria y, con --data, en el archivo).
+  config list                                   - Muestra la configuración resuelta y de dónde sale cada valor.
+  config get <key>                              - Muestra un valor de la configuración.
+  config set <key> <value>                      - Guarda un valor en ~/.fakestorerc (o en ./.fakestorerc.json con --project;
+                                      con --profile <name>, dentro de ese perfil).
+  shell                                         - Modo interactivo: acepta estos mismos comandos, con autocompletado (Tab),
+                                      historial (~/.fakestore_history) y variables ($last: resultado anterior).
+  import products <archivo|->                   - Crea productos desde un CSV (con encabezados title,price,category,
+                                      description,image) o un JSON; '-' lee de la entrada estándar. Las filas
+                                      inválidas se omiten y se informan con su número de línea.
+                                      --dry-run solo valida; --report <archivo.json> guarda el resumen.
+                                      Si alguna fila se omitió o falló, termina con código 8.
+  export products [--out <archivo.json>]        - Guarda un snapshot del catálogo con la fecha y la URL de origen
+                                      (--include carts,users agrega carritos y usuarios).
+  diff <viejo.json> <nuevo.json>                - Muestra los productos agregados, eliminados y modificados, campo por campo.
+  diff <viejo.json> --live                      - Compara un snapshot con la API actual.
+                                      Con --fail-on-changes termina con código 7 si hay diferencias (para CI).
+  report products                               - Estadísticas por categoría (cantidad, precio mínimo, máximo, promedio y
+                                      mediana, rating ponderado por votos), top de productos (--top <n>,
+                                      --by rating|price) e histograma de precios (--buckets <n>).
+  report carts                                  - Ingresos (precio x cantidad) por carrito, por usuario y por producto.
+  cart show <cartId>                            - Muestra un carrito con el título y el precio de cada producto, el total
+                                      de cada línea y el total del carrito.
+  cart add <cartId> <productId> [cantidad]      - Agrega unidades de un producto (por defecto 1) y guarda el carrito (PUT).
+  cart remove <cartId> <productId> [cantidad]   - Quita unidades de un producto (sin cantidad, lo quita completo).
+
+Opciones globales:
+  --format <pretty|json|ndjson|csv|table>       - Formato de salida (por defecto: pretty).
+  --fields <campo1,campo2,...>                  - Muestra solo esos campos (admite paths como rating.rate).
+  --raw                                         - Muestra solo los valores, un elemento por línea (los campos de un mismo
+                                      elemento separados por tabuladores), sin etiquetas: útil en scripts de shell.
+  --no-cache                                    - No usa las respuestas guardadas (pero guarda las nuevas).
+  --offline                                     - Responde solo desde la caché, sin conectarse a la API.
+  --cache-ttl <segundos>                        - Vigencia de las respuestas guardadas (por defecto: 300).
+  --base-url <url>                              - URL de la API (por defecto: https://fakestoreapi.com).
+  --timeout <ms>                                - Tiempo de espera por intento (por defecto: 10000; 0 = sin límite).
+  --retries <n>                                 - Reintentos de GET/PUT/DELETE ante errores de red, 429 o 5xx (por defecto: 3).
+  --retry-delay <ms>                            - Espera base entre reintentos, que se duplica en cada uno (por defecto: 500).
+  --concurrency <n>                             - Peticiones simultáneas como máximo (por defecto: 4).
+  --rate-limit <n>                              - Peticiones por segundo como máximo (por defecto: 0 = sin límite).
+  --verbose                                     - Muestra cada intento, su resultado y su duración en stderr.
+  --strict                                      - Falla si una respuesta tiene campos faltantes, inesperados o inválidos.
+  --json-errors                                 - Muestra los errores en stderr como JSON: { error: { code, exitCode, message,
+                                      status, method, url, body, fields } }; los avisos y mensajes informativos que van
+                                      a stderr salen como líneas { warning: { code, message } } y { info: { message } }.
+  --profile <name>                              - Usa un perfil de los archivos de configuración (ej: staging).
+  --lang <es|en>                                - Idioma de los mensajes (por defecto: el de LC_ALL o LANG, o español).
+
+Configuración (de menor a mayor prioridad):
+  valores por defecto < ~/.fakestorerc < ./.fakestorerc.json < perfil < variables de entorno < opciones.
+  Claves: baseUrl, timeout, retries, retryDelay, concurrency, rateLimit, verbose, strict, cacheTtl, format,
+          defaultDescription, defaultImage, lang.
+  Variables: FAKESTORE_BASE_URL, FAKESTORE_TIMEOUT, FAKESTORE_RETRIES, FAKESTORE_RETRY_DELAY, FAKESTORE_CONCURRENCY,
+             FAKESTORE_RATE_LIMIT, FAKESTORE_VERBOSE, FAKESTORE_STRICT, FAKESTORE_CACHE_TTL, FAKESTORE_FORMAT, FAKESTORE_DEFAULT_DESCRIPTION,
+             FAKESTORE_DEFAULT_IMAGE, FAKESTORE_LANG, FAKESTORE_PROFILE y FAKESTORE_CONFIG (ruta de ~/.fakestorerc).
+
+Códigos de salida:
+  0 = éxito, 1 = error inesperado, 2 = uso incorrecto (comando, ruta, argumentos u opciones), 3 = validación (cuerpo
+  no válido o respuesta no válida con --strict), 4 = no encontrado (404), 5 = otro error HTTP, 6 = error de red, tiempo
+  de espera agotado, respuesta sin copia en caché con --offline o puerto ocupado en serve, 7 = diferencias con
+  diff --fail-on-changes, 8 = import con filas omitidas o que fallaron.
+
+Opciones de consulta (GET products y GET products/category/<name>):
+  --category <name>                             - Solo productos de esa categoría.
+  --min-price <n> / --max-price <n>             - Rango de precios.
+  --min-rating <n>                              - Rating mínimo (rating.rate).
+  --search <texto>                              - Busca en el título y la descripción.
+  --sort <id|price|rating|title> [--desc]       - Ordena el resultado (--desc: de mayor a menor).
+  --limit <n> / --offset <n>                    - Cantidad de productos a mostrar y cuántos saltear.
+
+Ejemplos:
+  npm run start GET products
+  npm run start GET products/15
+  npm run start GET products/20 image
+  npm run start GET products/5 title
+  npm run start GET products/1 title price rating.rate
+  npm run start GET products id title --raw
+  npm run start GET carts/1 "products[0].productId" --raw
+  npm run start GET "products/category/men's clothing"
+  npm run start POST products "Amazing T-Shirt" 19.99 "men's clothing" "A great t-shirt" "https://i.pravatar.cc"
+  npm run start POST products "Cool Gadget" 299.99 "electronics"
+  npm run start PUT products/3 "Mochila Nueva" 59.90 "men's clothing" "Mochila renovada"
+  npm run start PATCH products/3 price=12.5 title="Nuevo título"
+  npm run start DELETE products/7
+  npm run start GET carts/user/2
+  npm run start POST carts 1 3:2 7:1
+  npm run start PATCH users/4 email=nuevo@mail.com
+  npm run start login mor_2314 83r5^_
+  npm run start GET products --format table --fields id,title,price
+  npm run start GET products --format csv > productos.csv
+  npm run start GET products --category electronics --sort price --desc --limit 3
+  npm run start GET products --search backpack --max-price 120
+  npm run start GET products/1 --offline
+  npm run start serve --port 3000 --data mis-datos.json
+  npm run start DELETE products/7 --base-url http://localhost:3000
+  npm run start config set baseUrl http://localhost:3000 --profile local
+  npm run start GET products --profile local
+  npm run start import products catalogo.csv --report resultado.json --concurrency 8
+  npm run start export products --out lunes.json
+  npm run start diff lunes.json --live --format json --fail-on-changes
+  npm run start report products --top 3 --by price
+  npm run start report carts --format json
+  npm run start cart show 1
+  npm run start cart add 1 5 2
+  npm run start GET products/1 --lang en
+`,
+  },
+
+  en: {
+    // Avisos y errores de las peticiones
+    warning: 'Warning: {message}',
+    'offline.notCached': 'Offline mode: there is no cached copy of {request}. Run the command while online to store it.',
+    'offline.cannotSend': 'Offline mode: cannot send {request} without a connection.',
+    'api.requestFailed': 'API Request Failed for {method} {url}:',
+    'credentials.readFailed': 'Could not read the credentials file {file}:',
+    'cache.readFailed': 'Could not read the cache {file}:',
+    'cart.invalidLine': "Invalid cart line: '{item}'. Use the format <productId>:<quantity> (e.g. 1:2).",
+
+    // Recursos y validación de los argumentos
+    'resource.products.singular': 'product',
+    'resource.products.plural': 'products',
+    'resource.carts.singular': 'cart',
+    'resource.carts.plural': 'carts',
+    'resource.users.singular': 'user',
+    'resource.users.plural': 'users',
+    'product.invalidPrice': "The price must be a valid number (received '{value}').",
+    'product.titleAndCategoryRequired': 'The title and the category are required.',
+    'cart.invalidUserId': 'The userId must be a valid numeric ID.',
+    'cart.invalidDate': "The date '{value}' is not valid. Use the format YYYY-MM-DD.",
+    'user.invalidEmail': "The email '{value}' is not valid.",
+    'patch.invalidArgument': "Invalid argument: '{pair}'. Use the format field=value.",
+    'patch.fieldNotEditable': "The field '{field}' cannot be modified. Valid fields: {fields}.",
+    'patch.notEditable': 'cannot be modified',
+    'validation.invalidBody': 'The {singular} is not valid:',
+    'diff.noChanges': 'No changes: the item is unchanged.',
+    'diff.applied': 'Changes applied:',
+
+    // Opciones de línea de comandos y configuración
+    'cli.unknownOption': 'Unknown option: --{name}.',
+    'cli.missingValue': 'The option --{name} requires a value.',
+    'cli.cacheConflict': 'The options --no-cache and --offline cannot be used together.',
+    'config.mustBeInteger': 'must be an integer greater than or equal to {min}',
+    'config.mustBeNumber': 'must be a number greater than or equal to 0',
+    'config.mustBeBoolean': 'must be true or false',
+    'config.mustBeUrl': 'must be a valid URL (e.g. http://localhost:3000)',
+    'config.mustBeOneOf': 'must be one of: {values}',
+    'config.readFailed': 'Could not read the configuration file {file}: {message}',
+    'config.profileNotFound': "Profile not found: '{profile}'. Define it with 'config set <key> <value> --profile {profile}'.",
+    'config.unknownKeyInFile': "Unknown configuration key '{key}' in {file}.",
+    'config.sourceDefault': 'default',
+    'config.sourceFile': '{file}',
+    'config.sourceProfile': '{file} (profile {profile})',
+    'config.sourceEnv': 'variable {name}',
+    'config.sourceFlag': 'option --{name}',
+    'config.invalidValue': "Invalid value for '{key}' ({source}): {error}.",
+
+    // Consultas y extracción de campos
+    'query.mustBeNumber': 'The option --{option} must be a valid number.',
+    'query.mustBeNonNegativeInteger': 'The option --{option} must be a non-negative integer.',
+    'query.invalidSort': "Invalid sort: '{sort}'. Use {values}.",
+    'query.matchedWithLimit': 'At least {matched} products match (the total is unknown because the API applied the limit); showing {shown}.',
+    'query.matched': '{matched} of {total} products match; showing {shown}.',
+    'query.matchedInCategory': "{matched} of the {total} products in the category '{category}' match; showing {shown}.",
+    'extract.mixedPaths': 'Paths from the whole list ({paths}) cannot be combined with per-item paths.',
+    'extract.missingField': 'Error: The field {fields} does not exist in {description}.\nAvailable fields: {available}',
+    'extract.missingFields': 'Error: The fields {fields} do not exist in {description}.\nAvailable fields: {available}',
+    'extract.listDescription': 'the {plural}',
+    'list.label': '{Plural} retrieved:',
+    'list.fieldsLabel': 'Fields of the retrieved {plural}:',
+
+    // Comandos sobre las rutas de la API
+    'categories.label': 'Categories retrieved:',
+    'item.notFound': 'The {singular} {id} does not exist.',
+    'extract.itemDescription': '{singular} {id}',
+    'item.fieldLabel': "Field '{field}' of {singular} {id}:",
+    'item.fieldsLabel': 'Fields of {singular} {id}:',
+    'item.unexpectedResponse': 'API response for {path} ({singular} possibly not found):',
+    'item.label': '{Singular} retrieved:',
+    'item.usage': 'For {method} {path}, at least these are required: {usage}.\nExample: npm run start {method} {path} {example}',
+    'item.created': '{Singular} created:',
+    'item.replaced': '{Singular} with ID {id} replaced:',
+    'item.patchUsage': 'For PATCH {path}, at least one field=value pair is required.\nValid fields: {fields}.',
+    'item.patched': '{Singular} with ID {id} modified:',
+    'item.deleted': '{Singular} with ID {id} (supposedly) deleted:',
+
+    // Sesión
+    'login.usage': 'For login, these are required: <username> <password>.\nExample: npm run start login mor_2314 83r5^_',
+    'login.noToken': 'The API did not return a token: {response}',
+    'login.success': "Logged in as '{username}'. Token saved to {file}",
+    'logout.success': 'Logged out.',
+    'logout.noSession': 'There was no active session.',
+    'whoami.noSession': "There is no active session. Use 'login <username> <password>'.",
+    'whoami.username': 'User:',
+    'whoami.userId': 'User ID:',
+    'whoami.loggedInAt': 'Logged in at:',
+
+    // Caché, servidor local y configuración
+    'cache.cleared': 'Cache cleared ({count} entries removed).',
+    'cache.statsLabel': 'Cache statistics:',
+    'cache.usage': "cache requires an action: 'cache clear' or 'cache stats'.",
+    'serve.invalidPort': 'The option --port must be a valid port number (0-65535).',
+    'serve.portInUse': 'The port {port} is already in use. Choose another one with --port.',
+    'serve.listenFailed': 'Could not start the server on port {port}: {message}',
+    'serve.invalidData': "Could not read the data file '{file}': {message}",
+    'serve.listening': 'Local FakeStore server listening on {url}',
+    'serve.listeningWithData': 'Local FakeStore server listening on {url} (data in {file})',
+    'serve.hint': 'Use --base-url {url} in another terminal to point the CLI at this server. Ctrl+C to stop it.',
+    'config.listTitle': 'Configuration:',
+    'config.listTitleWithProfile': 'Configuration (profile {profile}):',
+    'config.unknownKey': "Unknown configuration key: '{key}'. Valid keys: {keys}.",
+    'config.setUsage': 'config set requires: <key> <value>. Example: npm run start config set baseUrl http://localhost:3000',
+    'config.invalidSetValue': "Invalid value for '{key}': {error}.",
+    'config.saved': '{key} = {value} saved to {file}.',
+    'config.savedInProfile': '{key} = {value} saved to {file} (profile {profile}).',
+    'config.usage': "config requires an action: 'config list', 'config get <key>' or 'config set <key> <value>'.",
+
+    // Modo interactivo
+    'shell.undefinedVariable': "Undefined variable: ${name}. Use 'vars' to list the variables.",
+    'shell.missingVariableField': 'The variable {variable} does not have that field.',
+    'shell.unclosedQuote': 'Missing closing quote ({quote}).',
+    'shell.historyReadFailed': 'Could not read the history {file}:',
+    'shell.noArguments': "The 'shell' command takes no arguments. Use: npm run start shell [options].",
+    'shell.banner': "FakeStore interactive mode. Type 'help' to see the commands and 'exit' to quit.",
+    'shell.helpCommands': 'Shell commands: vars (lists the variables), set <name> <value> (defines $name), exit.',
+    'shell.helpVariables': 'Variables: $last is the result of the previous command (e.g. GET products/$last.id, $last[0].title).',
+    'shell.setUsage': 'Use: set <name> <value> (e.g. set id 5).',
+    'shell.alreadyInShell': 'Already in interactive mode.',
+
+    // Importación
+    'import.csvUnclosedQuote': 'Invalid CSV: missing closing quote in the field that starts on line {line}.',
+    'import.invalidJson': "Invalid JSON: expected an array of products or an object with the key 'products'.",
+    'import.itemLocation': 'Item {index}',
+    'import.csvMissingColumns': 'Invalid CSV: the columns {columns} are missing from the header (line {line}).',
+    'import.lineLocation': 'Line {line}',
+    'import.usage': 'import requires: import products <file.csv|file.json|->.\nExample: npm run start import products catalogo.csv --dry-run',
+    'import.readFailed': 'Could not read {source}: {message}',
+    'import.stdin': 'the standard input',
+    'import.title': 'Product import from {source}:',
+    'import.titleDryRun': 'Product import from {source} (simulation, --dry-run):',
+    'import.valid': '  Valid (would be created): {count}',
+    'import.created': '  Created: {count}',
+    'import.failed': '  Failed: {count}',
+    'import.skipped': '  Skipped as invalid: {count}',
+    'import.rowSkipped': 'skipped',
+    'import.rowFailed': 'failed',
+    'import.reportSaved': 'Report saved to {file}',
+
+    // Snapshots y diferencias
+    'export.usage': 'export requires: export products [--include carts,users] [--out snapshot.json].',
+    'export.invalidInclude': "Cannot include '{names}' in the snapshot. Use: {values}.",
+    'export.saved': 'Snapshot saved to {file}: {count} {plural}{extra} ({date}).',
+    'diff.invalidSnapshot': '{file} is not a valid snapshot: the product list is missing.',
+    'diff.usage': 'diff requires: diff <old.json> <new.json> or diff <old.json> --live.',
+    'diff.liveSource': 'live API',
+    'diff.title': 'Differences between {old} and {new}:',
+    'diff.added': '  + Added #{id} "{title}" ({price})',
+    'diff.removed': '  - Removed #{id} "{title}"',
+    'diff.modified': '  ~ Modified #{id} "{title}":',
+    'diff.summary': 'Summary: {added} added, {removed} removed, {modified} modified.',
+
+    // Reportes
+    'report.noData': '  (no data)',
+    'report.invalidTopOrBuckets': 'The options --top and --buckets must be integers greater than 0.',
+    'report.invalidBy': 'The option --by must be one of: {values}.',
+    'report.byCategory': 'Products by category (prices and rating weighted by number of votes)',
+    'report.topByRating': 'Top {top} by rating',
+    'report.topByPrice': 'Top {top} by price',
+    'report.priceHistogram': 'Price histogram',
+    'report.allCategories': '(all)',
+    'report.perCart': 'Revenue per cart',
+    'report.perUser': 'Revenue per user',
+    'report.perProduct': 'Revenue per product',
+    'report.cartsTotal': 'Total: {carts} carts, {items} units, revenue {revenue}.',
+    'report.unknownProducts': 'Products not in the catalog (no revenue): {ids}.',
+    'report.usage': 'report requires: report products [--top <n>] [--by rating|price] [--buckets <n>] or report carts.',
+
+    // Carritos con precios
+    'cart.title': '{label} {cartId} (user {userId}, {date})',
+    'cart.total': 'Total: {total} ({items} units).',
+    'cart.missingProducts': 'Products not in the catalog (no price): {ids}.',
+    'cart.usage': 'cart requires: cart show <cartId>, cart add <cartId> <productId> [quantity] or cart remove <cartId> <productId> [quantity].',
+    'cart.invalidQuantity': 'The quantity must be an integer greater than 0.',
+    'cart.productNotInCart': 'Product {id} is not in cart {cartId}.',
+    'cart.added': 'Product added to the cart',
+    'cart.removed': 'Product removed from the cart',
+
+    // Errores generales y ejecución de comandos
+    'error.unexpected': 'An error occurred in the main operation:',
+    'command.missingPath': 'Missing resource path: {command} <RESOURCE_PATH>.',
+    'command.unknown': 'Unknown command: {command}. Valid commands: {commands}.',
+    'command.invalidRoute': "Invalid route for {method}: '{path}'. Use {paths}.",
+    'command.numericId': 'For {method} {resource}, a valid numeric ID is required: {route}',
+    'command.categoryName': 'For {method} {route}, a category name is required.',
+    'command.queryOption': 'The option --{option} can only be used with GET products or GET products/category/<name>.',
+
+    // Cliente de la API (client.js)
+    'client.noToken': 'The API did not return a token.',
+    'client.httpError': 'Error {status}: {statusText}. Body: {body}',
+    'client.success': 'Operation successful. Status: {status}',
+    'client.timeout': 'Timed out: no response within {timeout} ms.',
+    'client.attempt': '[attempt {attempt}/{maxAttempts}] {method} {url}',
+    'client.attemptFailed': '  -> failed after {elapsed} ms: {message}',
+    'client.attemptDone': '  -> {status} {statusText} in {elapsed} ms',
+    'client.retrying': '  retrying in {delay} ms...',
+    'validation.invalidResponse': 'The response of {method} {endpoint} does not match the {singular} schema:',
+
+    // Validación de esquemas (schemas.js)
+    'schema.nothing': 'nothing',
+    'schema.anArray': 'an array',
+    'schema.anObject': 'an object',
+    'schema.root': '(root)',
+    'schema.mustBeString': 'must be a string (received {value})',
+    'schema.empty': 'cannot be empty',
+    'schema.mustBeUrl': 'must be a valid http(s) URL (received {value})',
+    'schema.mustBeEmail': 'must be a valid email (received {value})',
+    'schema.mustBeDate': 'must be a valid date, e.g. 2020-03-02 (received {value})',
+    'schema.mustBeNumber': 'must be a number (received {value})',
+    'schema.mustBeInteger': 'must be an integer (received {value})',
+    'schema.min': 'must be greater than or equal to {min} (received {value})',
+    'schema.max': 'must be less than or equal to {max} (received {value})',
+    'schema.mustBeObject': 'must be an object (received {value})',
+    'schema.mustBeArray': 'must be an array (received {value})',
+    'schema.required': 'is required and missing',
+    'schema.unexpected': 'is an unexpected field',
+
+    // Servidor local (server.js)
+    'server.routeNotFound': 'Route not found: {path}',
+    'server.methodNotAllowed': 'Method not allowed: {method} {path}',
+    'server.notFound': '{collection}/{id} does not exist',
+    'server.invalidJson': 'The request body is not valid JSON.',
+    'server.invalidPath': 'The path is not valid (it has a malformed % escape): {path}',
+    'server.internalError': 'Internal server error.',
+    'server.requestFailed': 'Request {method} {url} failed: {message}',
+    'server.saveFailed': 'Could not save the data to {file}: {message}',
+
+    // Ayuda (se muestra sin argumentos y con 'help' en el modo interactivo)
+    help: `
+Usage: npm run start <COMMAND> <RESOURCE_PATH> [ARGUMENTS... | FIELD_TO_EXTRACT] [OPTIONS]
+       npm run start login <username> <password> | logout | whoami
+       npm run start cache <clear|stats>
+       npm run start serve [--port 3000] [--data fixtures.json]
+       npm run start config <list|get|set> [key] [value] [--profile <name>] [--project]
+       npm run start shell
+       npm run start import products <file.csv|file.json|-> [--dry-run] [--report report.json]
+       npm run start export products [--include carts,users] [--out snapshot.json]
+       npm run start diff <old.json> <new.json | --live> [--fail-on-changes]
+       npm run start report <products [--top 5] [--by rating|price] [--buckets 5] | carts>
+       npm run start cart <show <cartId> | add <cartId> <productId> [quantity] | remove <cartId> <productId> [quantity]>
+
+Available commands:
+  GET products                                  - Gets all the products.
+  GET products/<productId>                      - Gets a specific product by its ID.
+  GET products/<productId> <field> [...]        - Gets one or more fields of a product (e.g. title price rating.rate).
+  GET products <field> [...]                    - Gets those fields of every product (also for carts and users).
+                                      Paths accept dots and brackets: rating.rate, products[0].quantity;
+                                      the ones starting with '[' are read from the whole list (e.g. [0].title).
+  GET products/categories                       - Gets the list of categories.
+  GET products/category/<name>                  - Gets the products of a category.
+  POST products <title> <price> <category> [description] [image] - Creates a new product.
+                                      (description and image are optional; default values are used if omitted)
+  PUT products/<productId> <title> <price> <category> [description] [image] - Replaces a whole product.
+  PATCH products/<productId> <field>=<value> [...] - Modifies only the given fields (title, price, description, category, image).
+  DELETE products/<productId>                   - Deletes a product by its ID.
+
+  GET carts | carts/<cartId> | carts/user/<userId> - Gets carts (all of them, one, or those of a user).
+  POST carts <userId> <productId>:<quantity> [...] - Creates a cart with today's date.
+  PUT carts/<cartId> <userId> <productId>:<quantity> [...] - Replaces a cart.
+  PATCH carts/<cartId> <field>=<value> [...]    - Modifies userId, date or products (e.g. products=1:2,3:1).
+  DELETE carts/<cartId>                         - Deletes a cart.
+
+  GET users | users/<userId>                    - Gets all the users or a specific one.
+  POST users <email> <username> <password> [firstname] [lastname] [phone] - Creates a user.
+  PUT users/<userId> <email> <username> <password> [firstname] [lastname] [phone] - Replaces a user.
+  PATCH users/<userId> <field>=<value> [...]    - Modifies email, username, password, name or phone.
+  DELETE users/<userId>                         - Deletes a user.
+
+  login <username> <password>                   - Logs in and saves the token (it is sent with every request).
+  logout                                        - Logs out and deletes the saved token.
+  whoami                                        - Shows the user of the current session.
+  cache clear                                   - Deletes every response stored in the cache.
+  cache stats                                   - Shows how many responses are cached and how many are still fresh.
+  serve [--port <n>] [--data <file.json>]       - Starts a local FakeStoreAPI-compatible server
+                                      (changes persist in memory and, with --data, in the file).
+  config list                                   - Shows the resolved configuration and where each value comes from.
+  config get <key>                              - Shows a configuration value.
+  config set <key> <value>                      - Saves a value in ~/.fakestorerc (or in ./.fakestorerc.json with --project;
+                                      with --profile <name>, inside that profile).
+  shell                                         - Interactive mode: accepts these same commands, with completion (Tab),
+                                      history (~/.fakestore_history) and variables ($last: previous result).
+  import products <file|->                      - Creates products from a CSV (with the headers title,price,category,
+                                      description,image) or a JSON; '-' reads the standard input. Invalid
+                                      rows are skipped and reported with their line number.
+                                      --dry-run only validates; --report <file.json> saves the summary.
+                                      If any row was skipped or failed, it exits with code 8.
+  export products [--out <file.json>]           - Saves a snapshot of the catalog with the date and the source URL
+                                      (--include carts,users adds carts and users).
+  diff <old.json> <new.json>                    - Shows the added, removed and modified products, field by field.
+  diff <old.json> --live                        - Compares a snapshot with the current API.
+                                      With --fail-on-changes it exits with code 7 if there are differences (for CI).
+  report products                               - Statistics per category (count, minimum, maximum, mean and median
+                                      price, rating weighted by votes), top products (--top <n>,
+                                      --by rating|price) and price histogram (--buckets <n>).
+  report carts                                  - Revenue (price x quantity) per cart, per user and per product.
+  cart show <cartId>                            - Shows a cart with the title and price of each product, the total
+                                      of each line and the cart total.
+  cart add <cartId> <productId> [quantity]      - Adds units of a product (1 by default) and saves the cart (PUT).
+  cart remove <cartId> <productId> [quantity]   - Removes units of a product (without a quantity, removes it entirely).
+
+Global options:
+  --format <pretty|json|ndjson|csv|table>       - Output format (default: pretty).
+  --fields <field1,field2,...>                  - Shows only those fields (accepts paths like rating.rate).
+  --raw                                         - Shows only the values, one item per line (the fields of the same
+                                      item separated by tabs), without labels: useful in shell scripts.
+  --no-cache                                    - Does not use the stored responses (but stores the new ones).
+  --offline                                     - Answers only from the cache, without connecting to the API.
+  --cache-ttl <seconds>                         - Lifetime of the stored responses (default: 300).
+  --base-url <url>                              - API URL (default: https://fakestoreapi.com).
+  --timeout <ms>                                - Timeout per attempt (default: 10000; 0 = no limit).
+  --retries <n>                                 - Retries of GET/PUT/DELETE on network errors, 429 or 5xx (default: 3).
+  --retry-delay <ms>                            - Base wait between retries, doubled on each one (default: 500).
+  --concurrency <n>                             - Maximum simultaneous requests (default: 4).
+  --rate-limit <n>                              - Maximum requests per second (default: 0 = no limit).
+  --verbose                                     - Shows each attempt, its result and its duration on stderr.
+  --strict                                      - Fails if a response has missing, unexpected or invalid fields.
+  --json-errors                                 - Shows errors on stderr as JSON: { error: { code, exitCode, message,
+                                      status, method, url, body, fields } }; the warnings and informative messages that go
+                                      to stderr are printed as lines { warning: { code, message } } and { info: { message } }.
+  --profile <name>                              - Uses a profile from the configuration files (e.g. staging).
+  --lang <es|en>                                - Language of the messages (default: the one in LC_ALL or LANG, or Spanish).
+
+Configuration (from lowest to highest priority):
+  defaults < ~/.fakestorerc < ./.fakestorerc.json < profile < environment variables < options.
+  Keys: baseUrl, timeout, retries, retryDelay, concurrency, rateLimit, verbose, strict, cacheTtl, format,
+        defaultDescription, defaultImage, lang.
+  Variables: FAKESTORE_BASE_URL, FAKESTORE_TIMEOUT, FAKESTORE_RETRIES, FAKESTORE_RETRY_DELAY, FAKESTORE_CONCURRENCY,
+             FAKESTORE_RATE_LIMIT, FAKESTORE_VERBOSE, FAKESTORE_STRICT, FAKESTORE_CACHE_TTL, FAKESTORE_FORMAT, FAKESTORE_DEFAULT_DESCRIPTION,
+             FAKESTORE_DEFAULT_IMAGE, FAKESTORE_LANG, FAKESTORE_PROFILE and FAKESTORE_CONFIG (path of ~/.fakestorerc).
+
+Exit codes:
+  0 = success, 1 = unexpected error, 2 = incorrect usage (command, route, arguments or options), 3 = validation
+  (invalid body, or invalid response with --strict), 4 = not found (404), 5 = other HTTP error, 6 = network error,
+  timeout, response not cached with --offline or port already in use in serve, 7 = differences with
+  diff --fail-on-changes, 8 = import with skipped or failed rows.
+
+Query options (GET products and GET products/category/<name>):
+  --category <name>                             - Only products of that category.
+  --min-price <n> / --max-price <n>             - Price range.
+  --min-rating <n>                              - Minimum rating (rating.rate).
+  --search <text>                               - Searches the title and the description.
+  --sort <id|price|rating|title> [--desc]       - Sorts the result (--desc: from highest to lowest).
+  --limit <n> / --offset <n>                    - How many products to show and how many to skip.
+
+Examples:
+  npm run start GET products
+  npm run start GET products/15
+  npm run start GET products/20 image
+  npm run start GET products/5 title
+  npm run start GET products/1 title price rating.rate
+  npm run start GET products id title --raw
+  npm run start GET carts/1 "products[0].productId" --raw
+  npm run start GET "products/category/men's clothing"
+  npm run start POST products "Amazing T-Shirt" 19.99 "men's clothing" "A great t-shirt" "https://i.pravatar.cc"
+  npm run start POST products "Cool Gadget" 299.99 "electronics"
+  npm run start PUT products/3 "New Backpack" 59.90 "men's clothing" "Renewed backpack"
+  npm run start PATCH products/3 price=12.5 title="New title"
+  npm run start DELETE products/7
+  npm run start GET carts/user/2
+  npm run start POST carts 1 3:2 7:1
+  npm run start PATCH users/4 email=new@mail.com
+  npm run start login mor_2314 83r5^_
+  npm run start GET products --format table --fields id,title,price
+  npm run start GET products --format csv > products.csv
+  npm run start GET products --category electronics --sort price --desc --limit 3
+  npm run start GET products --search backpack --max-price 120
+  npm run start GET products/1 --offline
+  npm run start serve --port 3000 --data my-data.json
+  npm run start DELETE products/7 --base-url http://localhost:3000
+  npm run start config set baseUrl http://localhost:3000 --profile local
+  npm run start GET products --profile local
+  npm run start import products catalog.csv --report result.json --concurrency 8
+  npm run start export products --out monday.json
+  npm run start diff monday.json --live --format json --fail-on-changes
+  npm run start report products --top 3 --by price
+  npm run start report carts --format json
+  npm run start cart show 1
+  npm run start cart add 1 5 2
+  npm run start config set lang es
+`,
+  },
+};
+
+/**
+ * Convierte un idioma al formato del catálogo (ej: 'en_US.UTF-8' -> 'en', 'ES' -> 'es').
+ * @param {string} [value] - Un código de idioma, como los de --lang, LANG o LC_ALL.
+ * @returns {string|null} - Uno de LOCALES, o null si no está disponible (ej: 'C', 'fr_FR').
+ */
+export function normalizeLocale(value) {
+  const language = String(value ?? '').trim().toLowerCase().split(/[_.@-]/)[0];
+  return LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Detecta el idioma del sistema a partir de LC_ALL y LANG, en ese orden de prioridad.
+ * @returns {string|null} - Uno de LOCALES, o null si ninguna variable indica uno disponible.
+ */
+export function detectLocale(env = process.env) {
+  return normalizeLocale(env.LC_ALL) ?? normalizeLocale(env.LANG);
+}
+
+/**
+ * Elige el idioma de los mensajes; los valores no disponibles vuelven al idioma por defecto.
+ */
+export function setLocale(locale) {
+  currentLocale = normalizeLocale(locale) ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Devuelve el idioma actual de los mensajes.
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Obtiene un mensaje del catálogo en el idioma actual y reemplaza sus placeholders.
+ * @param {string} key - La clave del mensaje (ej: 'item.notFound').
+ * @param {object} [params] - Los valores de los placeholders (ej: { singular: 'producto', id: 7 }).
+ * @returns {string} - El mensaje; si la clave no existe en ningún idioma, la propia clave.
+ */
+export function t(key, params = {}) {
+  const template = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+  // Los placeholders sin valor quedan tal cual, para que el error se note en el mensaje
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+}
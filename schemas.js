@@ -0,0 +1,212 @@
+// schemas.js
+// Esquemas de los recursos de FakeStoreAPI (producto, carrito y usuario) y la función que los valida.
+// Se usan para revisar los cuerpos que se envían (POST, PUT, PATCH) y las respuestas que llegan de la API.
+
+import { t } from './messages.js';
+
+/**
+ * Cada campo de un esquema indica su tipo y sus restricciones:
+ *   type: 'string' | 'number' | 'integer' | 'url' | 'email' | 'date' | 'object' | 'array'
+ *   minLength, min, max: restricciones de textos y números
+ *   properties: los campos de un 'object';  items: el esquema de cada elemento de un 'array'
+ *   readOnly: lo asigna la API (ej: id), así que no se exige al enviar
+ *   optional: puede faltar (al enviar y en las respuestas, incluso con --strict)
+ */
+export const SCHEMAS = {
+  product: {
+    id: { type: 'integer', min: 0, readOnly: true },
+    title: { type: 'string', minLength: 1 },
+    price: { type: 'number', min: 0 },
+    description: { type: 'string' },
+    category: { type: 'string', minLength: 1 },
+    image: { type: 'url' },
+    // La API no devuelve rating en los productos recién creados
+    rating: {
+      type: 'object',
+      readOnly: true,
+      optional: true,
+      properties: {
+        rate: { type: 'number', min: 0, max: 5 },
+        count: { type: 'integer', min: 0 },
+      },
+    },
+  },
+
+  cart: {
+    id: { type: 'integer', min: 0, readOnly: true },
+    userId: { type: 'integer', min: 0 },
+    date: { type: 'date' },
+    products: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          productId: { type: 'integer', min: 0 },
+          quantity: { type: 'integer', min: 1 },
+        },
+      },
+    },
+    __v: { type: 'integer', readOnly: true, optional: true }, // Versión interna que agrega la API real
+  },
+
+  user: {
+    id: { type: 'integer', min: 0, readOnly: true },
+    email: { type: 'email' },
+    username: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    name: {
+      type: 'object',
+      optional: true,
+      properties: {
+        firstname: { type: 'string' },
+        lastname: { type: 'string' },
+      },
+    },
+    phone: { type: 'string', optional: true },
+    address: {
+      type: 'object',
+      optional: true,
+      properties: {
+        city: { type: 'string', optional: true },
+        street: { type: 'string', optional: true },
+        number: { type: 'integer', optional: true },
+        zipcode: { type: 'string', optional: true },
+        geolocation: {
+          type: 'object',
+          optional: true,
+          properties: {
+            lat: { type: 'string' },
+            long: { type: 'string' },
+          },
+        },
+      },
+    },
+    __v: { type: 'integer', readOnly: true, optional: true },
+  },
+};
+
+/**
+ * Describe un valor recibido para los mensajes de error (ej: -5, "abc", un objeto).
+ */
+function describeValue(value) {
+  if (value === undefined) return t('schema.nothing');
+  if (Array.isArray(value)) return t('schema.anArray');
+  if (value === null) return 'null';
+  if (typeof value === 'object') return t('schema.anObject');
+  return JSON.stringify(value);
+}
+
+/**
+ * Valida un valor simple o anidado contra la definición de un campo.
+ * @returns {string|null} - El problema encontrado, o null si el valor es válido.
+ */
+function checkType(definition, value) {
+  switch (definition.type) {
+    case 'string':
+    case 'url':
+    case 'email':
+    case 'date': {
+      if (typeof value !== 'string') return t('schema.mustBeString', { value: describeValue(value) });
+      if (definition.minLength && value.trim().length < definition.minLength) return t('schema.empty');
+      if (definition.type === 'url' && !/^https?:\/\/[^\s/]+/.test(value)) {
+        return t('schema.mustBeUrl', { value: describeValue(value) });
+      }
+      if (definition.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+        return t('schema.mustBeEmail', { value: describeValue(value) });
+      }
+      if (definition.type === 'date' && isNaN(Date.parse(value))) {
+        return t('schema.mustBeDate', { value: describeValue(value) });
+      }
+      return null;
+    }
+    case 'number':
+    case 'integer': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return t('schema.mustBeNumber', { value: describeValue(value) });
+      if (definition.type === 'integer' && !Number.isInteger(value)) return t('schema.mustBeInteger', { value });
+      if (definition.min !== undefined && value < definition.min) return t('schema.min', { min: definition.min, value });
+      if (definition.max !== undefined && value > definition.max) return t('schema.max', { max: definition.max, value });
+      return null;
+    }
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : t('schema.mustBeObject', { value: describeValue(value) });
+    case 'array':
+      return Array.isArray(value) ? null : t('schema.mustBeArray', { value: describeValue(value) });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Valida un objeto contra un esquema y devuelve la lista de problemas, campo por campo.
+ * @param {object} schema - Los campos esperados (ej: SCHEMAS.product).
+ * @param {*} value - El objeto a validar.
+ * @param {object} [options]
+ * @param {'request'|'response'} [options.mode='response'] - 'request' no exige los campos readOnly.
+ * @param {boolean} [options.partial=false] - Solo valida los campos presentes (ej: PATCH).
+ * @param {boolean} [options.strict=false] - Informa también los campos faltantes y los inesperados.
+ *   En 'request' los campos faltantes y los inesperados siempre se informan.
+ * @param {string} [options.path=''] - Prefijo de los campos en los mensajes (para objetos anidados y arrays).
+ * @returns {{ field: string, message: string }[]} - Los problemas encontrados (vacío si el objeto es válido).
+ */
+export function validate(schema, value, { mode = 'response', partial = false, strict = false, path = '' } = {}) {
+  const errors = [];
+  const fieldName = (name) => (path ? `${path}.${name}` : name);
+
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ field: path || t('schema.root'), message: t('schema.mustBeObject', { value: describeValue(value) }) }];
+  }
+  // Al enviar, los campos faltantes e inesperados son siempre un error; en las respuestas, solo con --strict
+  const checkPresence = mode === 'request' || strict;
+
+  for (const [name, definition] of Object.entries(schema)) {
+    const fieldValue = value[name];
+    if (fieldValue === undefined) {
+      const required = !definition.optional && !(mode === 'request' && definition.readOnly);
+      if (checkPresence && required && !partial) {
+        errors.push({ field: fieldName(name), message: t('schema.required') });
+      }
+      continue;
+    }
+
+    const problem = checkType(definition, fieldValue);
+    if (problem) {
+      errors.push({ field: fieldName(name), message: problem });
+      continue;
+    }
+    // Los objetos y arrays se validan recursivamente
+    const nested = { mode, strict, partial: false };
+    if (definition.type === 'object' && definition.properties) {
+      errors.push(...validate(definition.properties, fieldValue, { ...nested, path: fieldName(name) }));
+    }
+    if (definition.type === 'array' && definition.items) {
+      fieldValue.forEach((item, index) => {
+        const itemPath = `${fieldName(name)}[${index}]`;
+        const itemProblem = checkType(definition.items, item);
+        if (itemProblem) {
+          errors.push({ field: itemPath, message: itemProblem });
+        } else if (definition.items.properties) {
+          errors.push(...validate(definition.items.properties, item, { ...nested, path: itemPath }));
+        }
+      });
+    }
+  }
+
+  if (checkPresence) {
+    for (const name of Object.keys(value)) {
+      if (!(name in schema)) {
+        errors.push({ field: fieldName(name), message: t('schema.unexpected') });
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Convierte una lista de problemas en un mensaje legible, un campo por línea.
+ * @param {string} title - La primera línea (ej: 'El producto no es válido:').
+ * @param {{ field: string, message: string }[]} errors - Los problemas devueltos por validate.
+ * @returns {string}
+ */
+export function formatValidationErrors(title, errors) {
+  return [title, ...errors.map((error) => `  - ${error.field}: ${error.message}`)].join('\n');
+}
@@ -0,0 +1,219 @@
+// server.js
+// Servidor HTTP local compatible con FakeStoreAPI, para probar la CLI sin conexión (comando 'serve').
+// A diferencia de la API real, los POST, PUT, PATCH y DELETE modifican los datos de verdad:
+// en memoria, y también en el archivo de datos si se indicó uno con --data.
+
+import { createServer } from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import { t } from './messages.js';
+
+// Datos de ejemplo que se usan si no se indica un archivo con --data
+const DEFAULT_FIXTURES = new URL('./fixtures.json', import.meta.url);
+
+// Recursos que atiende el servidor; cada uno es una colección de objetos con 'id'
+const COLLECTIONS = ['products', 'carts', 'users'];
+
+/**
+ * Lee los datos iniciales del servidor.
+ * @param {string|URL} file - Archivo JSON con las colecciones { products, carts, users }.
+ * @returns {Promise<object>} - Las colecciones; las que falten en el archivo quedan vacías.
+ */
+async function loadData(file) {
+  const data = JSON.parse(await readFile(file, 'utf8'));
+  for (const name of COLLECTIONS) {
+    if (!Array.isArray(data[name])) {
+      data[name] = [];
+    }
+  }
+  return data;
+}
+
+/**
+ * Envía una respuesta JSON.
+ * @param {import('node:http').ServerResponse} res - La respuesta HTTP.
+ * @param {number} status - El código de estado.
+ * @param {*} body - El cuerpo, que se convierte a JSON.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Lee y parsea el cuerpo JSON de una petición.
+ * @param {import('node:http').IncomingMessage} req - La petición HTTP.
+ * @returns {Promise<object>} - El cuerpo parseado ({} si viene vacío).
+ */
+async function readJsonBody(req) {
+  let text = '';
+  for await (const chunk of req) {
+    text += chunk;
+  }
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Aplica ?limit= y ?sort=asc|desc (por ID) a una lista, igual que FakeStoreAPI.
+ */
+function applyListParams(items, searchParams) {
+  let result = [...items];
+  if (searchParams.get('sort') === 'desc') {
+    result.sort((a, b) => b.id - a.id);
+  }
+  const limit = parseInt(searchParams.get('limit'));
+  if (!isNaN(limit) && limit >= 0) {
+    result = result.slice(0, limit);
+  }
+  return result;
+}
+
+/**
+ * Genera un token con la forma de un JWT (la firma es ficticia, igual que en la API real no se verifica).
+ */
+function createToken(user) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({ sub: user.id, user: user.username, iat: Math.floor(Date.now() / 1000) });
+  return `${header}.${payload}.local-signature`;
+}
+
+/**
+ * Atiende una petición sobre los datos en memoria.
+ * @param {object} data - Las colecciones del servidor.
+ * @param {string} method - El método HTTP.
+ * @param {URL} url - La URL de la petición.
+ * @param {object|null} body - El cuerpo ya parseado (solo en POST, PUT y PATCH).
+ * @returns {{ status: number, body: *, changed?: boolean }} - La respuesta y si se modificaron los datos.
+ */
+function handleRequest(data, method, url, body) {
+  let segments;
+  try {
+    segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Un escape mal formado (ej: %E0%A4%A) no se puede decodificar
+    return { status: 400, body: { error: t('server.invalidPath', { path: url.pathname }) } };
+  }
+  const [collectionName, ...rest] = segments;
+
+  // POST /auth/login: devuelve un token si el usuario y la contraseña coinciden
+  if (collectionName === 'auth' && rest[0] === 'login' && method === 'POST') {
+    const user = data.users.find((item) => item.username === body?.username && item.password === body?.password);
+    if (!user) {
+      return { status: 401, body: { error: 'username or password is incorrect' } };
+    }
+    return { status: 200, body: { token: createToken(user) } };
+  }
+
+  if (!COLLECTIONS.includes(collectionName)) {
+    return { status: 404, body: { error: t('server.routeNotFound', { path: url.pathname }) } };
+  }
+  const collection = data[collectionName];
+
+  // Rutas de listado especiales: /products/categories, /products/category/<name>, /carts/user/<userId>
+  if (method === 'GET' && collectionName === 'products' && rest.length === 1 && rest[0] === 'categories') {
+    return { status: 200, body: [...new Set(collection.map((product) => product.category))] };
+  }
+  if (method === 'GET' && collectionName === 'products' && rest.length === 2 && rest[0] === 'category') {
+    const items = collection.filter((product) => product.category === rest[1]);
+    return { status: 200, body: applyListParams(items, url.searchParams) };
+  }
+  if (method === 'GET' && collectionName === 'carts' && rest.length === 2 && rest[0] === 'user') {
+    const items = collection.filter((cart) => cart.userId === parseInt(rest[1]));
+    return { status: 200, body: applyListParams(items, url.searchParams) };
+  }
+
+  // Colección completa: GET lista, POST crea con el siguiente ID libre
+  if (rest.length === 0) {
+    if (method === 'GET') {
+      return { status: 200, body: applyListParams(collection, url.searchParams) };
+    }
+    if (method === 'POST') {
+      const id = collection.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+      const created = { ...body, id };
+      collection.push(created);
+      return { status: 201, body: created, changed: true };
+    }
+    return { status: 405, body: { error: t('server.methodNotAllowed', { method, path: url.pathname }) } };
+  }
+
+  // Elemento por ID: GET, PUT (reemplaza), PATCH (combina) y DELETE
+  if (rest.length === 1) {
+    const id = parseInt(rest[0]);
+    const index = collection.findIndex((item) => item.id === id);
+    if (index === -1) {
+      return { status: 404, body: { error: t('server.notFound', { collection: collectionName, id: rest[0] }) } };
+    }
+    switch (method) {
+      case 'GET':
+        return { status: 200, body: collection[index] };
+      case 'PUT':
+        collection[index] = { ...body, id };
+        return { status: 200, body: collection[index], changed: true };
+      case 'PATCH':
+        collection[index] = { ...collection[index], ...body, id };
+        return { status: 200, body: collection[index], changed: true };
+      case 'DELETE': {
+        const [deleted] = collection.splice(index, 1);
+        return { status: 200, body: deleted, changed: true };
+      }
+      default:
+        return { status: 405, body: { error: t('server.methodNotAllowed', { method, path: url.pathname }) } };
+    }
+  }
+
+  return { status: 404, body: { error: t('server.routeNotFound', { path: url.pathname }) } };
+}
+
+/**
+ * Inicia el servidor local.
+ * @param {object} [options]
+ * @param {number} [options.port=3000] - Puerto en el que escucha el servidor.
+ * @param {string} [options.dataFile] - Archivo JSON con los datos; si se indica, los cambios se guardan en él.
+ * @param {(line: string) => void} [options.log] - Función para registrar cada petición.
+ * @returns {Promise<import('node:http').Server>} - El servidor ya escuchando.
+ */
+export async function startServer({ port = 3000, dataFile, log = console.log } = {}) {
+  const data = await loadData(dataFile || DEFAULT_FIXTURES);
+
+  const server = createServer(async (req, res) => {
+    // Un error inesperado responde 500 en lugar de terminar el servidor (el callback es async: nadie más lo capturaría)
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+      let body = null;
+      if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+        try {
+          body = await readJsonBody(req);
+        } catch {
+          sendJson(res, 400, { error: t('server.invalidJson') });
+          log(`${req.method} ${url.pathname}${url.search} 400`);
+          return;
+        }
+      }
+
+      const result = handleRequest(data, req.method, url, body);
+      // Solo se escribe el archivo si la petición modificó datos y se indicó uno con --data
+      if (result.changed && dataFile) {
+        try {
+          await writeFile(dataFile, JSON.stringify(data, null, 2));
+        } catch (error) {
+          log(t('server.saveFailed', { file: dataFile, message: error.message }));
+        }
+      }
+      sendJson(res, result.status, result.body);
+      log(`${req.method} ${url.pathname}${url.search} ${result.status}`);
+    } catch (error) {
+      log(t('server.requestFailed', { method: req.method, url: req.url, message: error.message }));
+      if (res.headersSent) {
+        res.end();
+      } else {
+        sendJson(res, 500, { error: t('server.internalError') });
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  return server;
+}
@@ -0,0 +1,79 @@
+// test/index.test.js
+// Pruebas de las funciones puras de la CLI: el parser de CSV de 'import', el de líneas del 'shell' y el diff de snapshots.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, splitCommandLine, diffProducts } from '../index.js';
+import { setLocale } from '../messages.js';
+
+setLocale('es');
+
+test('parseCsv: campos entre comillas con comas, comillas dobles y saltos de línea', () => {
+  const rows = parseCsv('title,price\n"Mochila, grande",10\n"Dice ""hola""",5\n');
+  assert.deepEqual(rows, [
+    { line: 1, values: ['title', 'price'] },
+    { line: 2, values: ['Mochila, grande', '10'] },
+    { line: 3, values: ['Dice "hola"', '5'] },
+  ]);
+});
+
+test('parseCsv: cada fila lleva la línea donde empieza, aunque un campo ocupe varias', () => {
+  const rows = parseCsv('title,description\r\nA,"línea 1\nlínea 2"\r\n\r\nB,corta');
+  assert.deepEqual(rows, [
+    { line: 1, values: ['title', 'description'] },
+    { line: 2, values: ['A', 'línea 1\nlínea 2'] },
+    { line: 5, values: ['B', 'corta'] },
+  ]);
+});
+
+test('parseCsv: quita el BOM y falla si quedan comillas sin cerrar', () => {
+  assert.deepEqual(parseCsv('\uFEFFtitle\nA'), [{ line: 1, values: ['title'] }, { line: 2, values: ['A'] }]);
+  assert.throws(() => parseCsv('title\nA\n"sin cerrar\n'), /línea 3/);
+});
+
+test('splitCommandLine: respeta comillas y escapes como la terminal', () => {
+  assert.deepEqual(splitCommandLine(`GET "products/category/men's clothing" title\\ price ''`, {}), {
+    tokens: ['GET', "products/category/men's clothing", 'title price', ''],
+    error: null,
+  });
+  assert.match(splitCommandLine('GET "products', {}).error, /comillas/);
+});
+
+test('splitCommandLine: reemplaza las variables fuera de las comillas simples', () => {
+  const variables = { last: [{ id: 7, title: 'Mochila' }] };
+  assert.deepEqual(splitCommandLine(`GET products/$last[0].id "$last[0].title" '$last'`, variables).tokens, [
+    'GET',
+    'products/7',
+    'Mochila',
+    '$last',
+  ]);
+  assert.match(splitCommandLine('GET $otra', variables).error, /otra/);
+});
+
+test('diffProducts: agregados, eliminados y cambios campo por campo con la diferencia numérica', () => {
+  const before = [
+    { id: 1, title: 'A', price: 10, rating: { rate: 4, count: 10 } },
+    { id: 2, title: 'B', price: 5 },
+  ];
+  const after = [
+    { id: 1, title: 'A2', price: 12.5, rating: { rate: 3.9, count: 10 } },
+    { id: 3, title: 'C', price: 1 },
+  ];
+  const { added, removed, modified } = diffProducts(before, after);
+  assert.deepEqual(added.map((product) => product.id), [3]);
+  assert.deepEqual(removed.map((product) => product.id), [2]);
+  assert.deepEqual(modified, [{
+    id: 1,
+    title: 'A2',
+    changes: [
+      { field: 'title', old: 'A', new: 'A2' },
+      { field: 'price', old: 10, new: 12.5, delta: 2.5 },
+      { field: 'rating.rate', old: 4, new: 3.9, delta: -0.1 },
+    ],
+  }]);
+});
+
+test('diffProducts: sin diferencias no informa nada', () => {
+  const products = [{ id: 1, title: 'A', price: 10 }];
+  assert.deepEqual(diffProducts(products, structuredClone(products)), { added: [], removed: [], modified: [] });
+});
@@ -0,0 +1,58 @@
+// test/schemas.test.js
+// Pruebas de validate (schemas.js): cuerpos que se envían y respuestas, con y sin strict.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMAS, validate, formatValidationErrors } from '../schemas.js';
+import { setLocale } from '../messages.js';
+
+setLocale('es');
+
+const product = {
+  id: 1,
+  title: 'Mochila',
+  price: 109.95,
+  description: 'Para todos los días',
+  category: "men's clothing",
+  image: 'https://fakestoreapi.com/img/1.jpg',
+  rating: { rate: 3.9, count: 120 },
+};
+
+// Solo los campos con problemas, para comparar sin depender del texto de cada mensaje
+const fields = (errors) => errors.map((error) => error.field);
+
+test('validate: un producto completo es válido en los dos modos', () => {
+  assert.deepEqual(validate(SCHEMAS.product, product), []);
+  assert.deepEqual(validate(SCHEMAS.product, product, { strict: true }), []);
+});
+
+test('validate: sin strict, las respuestas solo informan los valores inválidos', () => {
+  const { description, ...rest } = product;
+  const errors = validate(SCHEMAS.product, { ...rest, price: 'caro', extra: true });
+  assert.deepEqual(fields(errors), ['price']);
+});
+
+test('validate: con strict, también los campos faltantes y los inesperados', () => {
+  const { description, ...rest } = product;
+  const errors = validate(SCHEMAS.product, { ...rest, price: 'caro', extra: true }, { strict: true });
+  assert.deepEqual(fields(errors), ['price', 'description', 'extra']);
+});
+
+test('validate: al enviar no se exigen los campos readOnly, y con partial solo se validan los presentes', () => {
+  const { id, rating, ...body } = product;
+  assert.deepEqual(validate(SCHEMAS.product, body, { mode: 'request' }), []);
+  assert.deepEqual(fields(validate(SCHEMAS.product, { title: 'Nuevo' }, { mode: 'request' })), ['price', 'description', 'category', 'image']);
+  assert.deepEqual(validate(SCHEMAS.product, { price: 12.5 }, { mode: 'request', partial: true }), []);
+});
+
+test('validate: los objetos y arrays anidados informan la ruta de cada campo', () => {
+  const cart = { id: 1, userId: 2, date: '2020-03-02T00:00:00.000Z', products: [{ productId: 1, quantity: 2 }, { productId: 3, quantity: 0 }] };
+  assert.deepEqual(fields(validate(SCHEMAS.cart, cart)), ['products[1].quantity']);
+  assert.deepEqual(fields(validate(SCHEMAS.product, { ...product, rating: { rate: 7, count: 1 } })), ['rating.rate']);
+});
+
+test('validate y formatValidationErrors: un valor que no es objeto y el mensaje final', () => {
+  const errors = validate(SCHEMAS.product, null, { path: '[0]' });
+  assert.deepEqual(fields(errors), ['[0]']);
+  assert.equal(formatValidationErrors('Título:', [{ field: 'price', message: 'no válido' }]), 'Título:\n  - price: no válido');
+});